@@ -4,15 +4,21 @@
  * 
  * TODO:
  * - Implement start command with server and package management
+ * - Configure server host/port and run named server instances side by side
+ * - Start packages in dependency order and wait until they are ready
  * - Implement create-project command with template selection
  * - Implement update command for framework packages
  * - Implement health command for remote server status
+ * - Implement stop/restart commands for packages and server
+ * - Implement server command for background server lifecycle
+ * - Implement logs command for package output
  * - Implement mcp command for testing automation server
  * - Add proper error handling and user feedback
  * - Integrate with existing core modules (plugin-loader, template-scanner, etc.)
  */
 
 const chalk = require('chalk');
+const fs = require('fs');
 const path = require('path');
 const pluginLoader = require('../core/plugin-loader');
 const templateScanner = require('../core/template-scanner');
@@ -20,15 +26,106 @@ const packageInstaller = require('../core/package-installer');
 const processManager = require('../core/process-manager');
 const zypinServer = require('../core/server');
 const templateManager = require('../core/template-manager');
+const config = require('../core/config');
+const remoteClient = require('../core/remote-client');
+const auth = require('../core/auth');
+const daemon = require('../core/daemon');
+const fileTail = require('../core/file-tail');
+const logStore = require('../core/log-store');
+const configFile = require('../core/config-file');
+const optionSchema = require('../core/option-schema');
+const dependencyResolver = require('../core/dependency-resolver');
 const utils = require('./utils');
 
+// Schema for server settings from --port/--host and the config file `server` section
+const SERVER_OPTIONS = {
+  port: { type: 'integer', min: 1, max: 65535 },
+  host: { type: 'string' },
+  metrics: { type: 'boolean' },
+  // Remote runs per package at once, more are queued (packages.<name>.concurrency overrides it)
+  concurrency: { type: 'integer', min: 1 }
+};
+
+// Helper function to describe the selected server instance in messages
+function describeInstance() {
+  return config.instance === 'default' ? '' : ` (instance '${config.instance}')`;
+}
+
+// Helper function to resolve server options: --port/--host over zypin.config.js over env and defaults
+function resolveServerOptions(options, fileConfig) {
+  const fileServer = fileConfig.server || {};
+  const values = {
+    port: options.port !== undefined ? options.port : (fileServer.port !== undefined ? fileServer.port : config.server.port),
+    host: options.host || fileServer.host || config.server.host || undefined,
+    metrics: fileServer.metrics,
+    concurrency: fileServer.concurrency
+  };
+  const result = optionSchema.validate(SERVER_OPTIONS, values);
+
+  // Per-package run concurrency from zypin.config.js `packages.<name>.concurrency`
+  const packageConcurrency = {};
+  Object.entries(configFile.getPackageConcurrency(fileConfig)).forEach(([packageName, value]) => {
+    const { values: checked, errors } = optionSchema.validate(
+      { concurrency: SERVER_OPTIONS.concurrency }, { concurrency: value }, `packages.${packageName}.`);
+    result.errors.push(...errors);
+    if (checked.concurrency) packageConcurrency[packageName] = checked.concurrency;
+  });
+
+  result.values.packageConcurrency = packageConcurrency;
+  return result;
+}
+
+// Helper function to merge config file and --set start options and validate them against plugin schemas
+function resolveStartOptions(packageNames, options, fileConfig) {
+  const errors = [];
+  const startOptions = {};
+
+  const { byPackage: setOptions, errors: setErrors } = utils.parseSetOptions(options.set);
+  errors.push(...setErrors);
+
+  Object.keys(setOptions)
+    .filter(packageName => !packageNames.includes(packageName))
+    .forEach(packageName => errors.push(`--set targets package '${packageName}' which is not being started`));
+
+  packageNames.forEach(packageName => {
+    const plugin = pluginLoader.getPlugin(packageName);
+    if (!plugin || !plugin.hasStart) {
+      return; // Reported when the package is started
+    }
+
+    // Precedence: --set over config file over schema defaults
+    const merged = {
+      ...configFile.getPackageStartOptions(fileConfig, packageName),
+      ...(setOptions[packageName] || {})
+    };
+
+    if (!plugin.startOptions) {
+      startOptions[packageName] = merged;
+      return;
+    }
+
+    const validation = optionSchema.validate(plugin.startOptions, merged, `${packageName}.`);
+    errors.push(...validation.errors);
+    startOptions[packageName] = validation.values;
+  });
+
+  return { startOptions, errors };
+}
+
 function setupCommands(program) {
   // Start command
   const startCommand = program
     .command('start')
     .description('Start testing packages and server')
     .option('--packages <packages>', 'Comma-separated list of packages to start')
-    .option('--force', 'Force restart server even if already running');
+    .option('--force', 'Force restart server even if already running')
+    .option('--detach', 'Run server and packages in the background')
+    .option('--set <key=value>', 'Set a package start option (e.g., selenium.port=4445)', utils.collectOption, [])
+    .option('--config <file>', 'Config file with package start options (default: ./zypin.config.js)')
+    .option('--port <port>', `Server port (or set ZYPIN_PORT) [default: ${config.server.port}]`)
+    .option('--host <host>', 'Server host/interface to listen on (or set ZYPIN_HOST) [default: all interfaces]')
+    .option('--auth', 'Require an API token, generating a random one')
+    .option('--token <token>', 'Require this API token (or set ZYPIN_TOKEN)');
 
   startCommand.helpInformation = function () {
     utils.showStartHelp();
@@ -46,85 +143,483 @@ function setupCommands(program) {
       return;
     }
 
-    // Check if server is already running
-    const serverStatus = await zypinServer.status();
-    if (serverStatus.isRunning) {
+    const packageNames = options.packages.split(',').map(name => name.trim());
+
+    // Check requested packages before the server starts
+    const startable = packageNames.filter(packageName => {
+      const plugin = pluginLoader.getPlugin(packageName);
+
+      if (!plugin) {
+        console.log(chalk.red(`Package '${packageName}' not found`));
+        packageInstaller.showInstallationInstructions(packageName);
+        return false;
+      }
+
+      if (!plugin.hasStart) {
+        console.log(chalk.red(`Package '${packageName}' does not support start functionality`));
+        return false;
+      }
+
+      return true;
+    });
+
+    if (startable.length === 0) {
+      console.log(chalk.green(`Started 0 of ${packageNames.length} packages`));
+      console.log(chalk.gray('No packages started.'));
+      return;
+    }
+
+    // Dependencies declared by plugins are started first, even when not requested
+    const plan = dependencyResolver.resolve(startable);
+    if (plan.errors.length > 0) {
+      console.log(chalk.red('Cannot resolve package dependencies:'));
+      plan.errors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+      process.exit(1);
+    }
+
+    let fileConfig;
+    try {
+      fileConfig = configFile.load(options.config);
+    } catch (error) {
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
+
+    // Reject bad options before anything is stopped or launched
+    const { startOptions, errors: optionErrors } = resolveStartOptions(plan.order, options, fileConfig);
+    const { values: serverOptions, errors: serverErrors } = resolveServerOptions(options, fileConfig);
+    optionErrors.push(...serverErrors);
+    if (optionErrors.length > 0) {
+      console.log(chalk.red('Invalid start options:'));
+      optionErrors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+      console.log(chalk.gray('Use "zypin start --help" to see the options each package accepts'));
+      process.exit(1);
+    }
+
+    zypinServer.configure(serverOptions);
+
+    // Check if this instance's server is already running - other instances may use other ports
+    const instanceStatus = daemon.getStatus();
+    if (instanceStatus.running) {
       if (options.force) {
         console.log(chalk.yellow('Force restart requested. Stopping existing server...'));
 
-        // Kill processes on port
-        try {
-
-          const { execSync } = require('child_process');
-          const serverPort = zypinServer.getServerPort();
-          const pids = execSync(`lsof -ti:${serverPort} -sTCP:LISTEN`, { encoding: 'utf8' })
-            .split('\n')
-            .map(pid => pid.trim())
-            .filter(pid => pid);
-
-          if (pids.length > 0) {
-            // Kill all processes using the port
-            pids.forEach(pid => {
-              try {
-                process.kill(pid, 'SIGTERM');
-              } catch (killError) {
-                // Process might already be dead
-              }
-            });
-            console.log(chalk.green(`✓ Stopped ${pids.length} existing server process(es)`));
-          }
-        } catch (error) {
-          // Ignore errors
-        }
-
-        // Simple wait
-        await new Promise(resolve => setTimeout(resolve, 2000));
+        // Only ever stops the server recorded in this instance's pidfile, never another port owner
+        const stopResult = await daemon.stop();
+        console.log(chalk.green(`✓ Stopped existing server (PID: ${stopResult.pid})`));
       } else {
-        console.log(chalk.yellow('Zypin server is already running'));
-        console.log(chalk.gray(`Server running on ${serverStatus.url}`));
+        console.log(chalk.yellow(`Zypin server is already running${describeInstance()}`));
+        console.log(chalk.gray(`Server running on ${daemon.getServerUrl()}`));
         console.log(chalk.blue('💡 Tip: Use --force to restart the server'));
         return;
       }
     }
 
+    // Configure authentication before the server starts listening
+    const token = options.token || process.env.ZYPIN_TOKEN || (options.auth ? auth.generateToken() : null);
+    zypinServer.setToken(token);
+
+    if (options.detach) {
+      // The token travels through the environment so it doesn't show up in `ps`
+      const daemonArgs = ['--packages', startable.join(',')];
+      options.set.forEach(assignment => daemonArgs.push('--set', assignment));
+      if (options.config) daemonArgs.push('--config', path.resolve(options.config));
+      daemonArgs.push('--port', String(serverOptions.port));
+      if (serverOptions.host) daemonArgs.push('--host', serverOptions.host);
+
+      const { pid, logFile } = daemon.start(daemonArgs, token ? { ZYPIN_TOKEN: token } : {});
+      console.log(chalk.blue(`Starting Zypin server in background (PID: ${pid})...`));
+
+      const serverUrl = zypinServer.getServerUrl();
+      const outcome = await daemon.waitForReady(pid, serverUrl, plan.order.length, token);
+
+      if (outcome.ready) {
+        console.log(chalk.green(`✓ Server running on ${serverUrl}${describeInstance()} with ${outcome.running} package(s)`));
+        if (config.dashboard.enabled) {
+          console.log(chalk.gray(`Dashboard: ${serverUrl}/dashboard/`));
+        }
+      } else if (outcome.exited) {
+        console.log(chalk.red('Background server exited during startup'));
+        console.log(chalk.gray(fileTail.readLastLines(logFile, 20)));
+        process.exit(1);
+      } else {
+        console.log(chalk.yellow('Background server is still starting'));
+      }
+
+      if (token && !options.token && !process.env.ZYPIN_TOKEN) {
+        console.log(chalk.blue('🔒 API token authentication enabled'));
+        console.log(chalk.gray(`   Token: ${token}`));
+      }
+      console.log(chalk.gray(`Logs: ${logFile}`));
+      console.log(chalk.blue('💡 Tip: Use "zypin server status|stop|logs" to manage the background server'));
+      return;
+    }
+
+    if (process.env.ZYPIN_DAEMON === '1') {
+      // Keep running when the launching terminal or SSH session goes away
+      process.on('SIGHUP', () => {});
+    }
+
     // Start server immediately when start command begins
     try {
       console.log(chalk.blue('Starting Zypin server...'));
       await zypinServer.startServer();
-      console.log(chalk.green(`✓ Server running on port ${zypinServer.getServerPort()}`));
+      console.log(chalk.green(`✓ Server running on ${zypinServer.getServerUrl()}${describeInstance()}`));
+      if (config.dashboard.enabled) {
+        console.log(chalk.gray(`Dashboard: ${zypinServer.getServerUrl()}/dashboard/`));
+      }
+      if (token) {
+        console.log(chalk.blue('🔒 API token authentication enabled'));
+        if (!options.token && !process.env.ZYPIN_TOKEN) {
+          console.log(chalk.gray(`   Token: ${token}`));
+          console.log(chalk.gray('   Remote clients: pass --token <token> or set ZYPIN_TOKEN'));
+        }
+      }
     } catch (error) {
       console.log(chalk.red('Failed to start server:', error.message));
+      if (error.code === 'EADDRINUSE') {
+        console.log(chalk.blue('💡 Tip: Use --port <port> to pick a free port, or --instance <name> to run a separate server'));
+      }
       console.log(chalk.red('Aborting start command'));
+      process.exit(1);
+    }
+
+    Object.entries(plan.added).forEach(([dependency, dependent]) => {
+      console.log(chalk.gray(`Adding ${dependency} (required by ${dependent})`));
+    });
+    if (plan.order.length > 1) {
+      console.log(chalk.gray(`Start order: ${plan.order.join(' → ')}`));
+    }
+
+    const result = await processManager.startPackages(startable, startOptions);
+
+    if (!result.success) {
+      console.log(chalk.red(`Failed to start ${result.failed || 'packages'}: ${result.error}`));
+      if (result.rolledBack.length > 0) {
+        console.log(chalk.yellow(`Rolled back: ${result.rolledBack.join(', ')}`));
+      }
+      console.log(chalk.gray(`Check package output with "zypin logs ${result.failed || ''}"`.trim()));
+      await zypinServer.stopServer();
+      process.exit(1);
+    }
+
+    result.alreadyRunning.forEach(packageName => {
+      console.log(chalk.gray(`${packageName} was already running`));
+    });
+    console.log(chalk.green(`Started ${result.started.length} of ${plan.order.length} packages`));
+
+    // Stop server if no packages were started
+    if (result.started.length === 0) {
+      console.log(chalk.gray('No packages started. Stopping server.'));
+      await zypinServer.stopServer();
+    }
+  });
+
+  // Stop command
+  const stopCommand = program
+    .command('stop')
+    .description('Stop running packages and server')
+    .option('--packages <packages>', 'Comma-separated list of packages to stop (default: all packages and server)')
+    .option('--server <url>', 'Zypin server URL (e.g., http://server:8421)')
+    .option('--token <token>', 'API token for the server (or set ZYPIN_TOKEN)');
+
+  stopCommand.helpInformation = function () {
+    utils.showStopHelp();
+    return '';
+  };
+
+  stopCommand.action(async (options) => {
+    if (program.opts().debug) {
+      process.env.ZYPIN_DEBUG = 'true';
+      console.log(chalk.gray('Debug mode enabled'));
+    }
+
+    const serverUrl = options.server || daemon.getServerUrl();
+    remoteClient.setToken(options.token);
+    const packageNames = options.packages
+      ? options.packages.split(',').map(name => name.trim())
+      : null;
+
+    const serverStatus = await zypinServer.status(serverUrl, options.token);
+    if (!serverStatus.isRunning) {
+      if (options.server) {
+        console.log(chalk.red(`Zypin server is not reachable at ${serverUrl}`));
+        process.exit(1);
+      }
+
+      // No local server - stop packages recorded in the local process state
+      console.log(chalk.yellow('Zypin server is not running. Stopping local packages directly...'));
+      const targets = packageNames || processManager.getStatus().packages.map(proc => proc.name);
+
+      if (targets.length === 0) {
+        console.log(chalk.gray('No packages are running'));
+        return;
+      }
+
+      let leftover = 0;
+      for (const packageName of targets) {
+        const report = await processManager.stopPackage(packageName);
+        if (report) {
+          utils.showStopReport(packageName, report);
+          leftover += report.leftover.length;
+        } else {
+          console.log(chalk.yellow(`Package '${packageName}' is not running`));
+        }
+      }
+
+      if (leftover > 0) {
+        process.exit(1);
+      }
       return;
     }
 
-    const packageNames = options.packages.split(',').map(name => name.trim());
-    let startedCount = 0;
+    if (!packageNames) {
+      try {
+        await remoteClient.stopServer(serverUrl);
+        console.log(chalk.green(`✓ Stopped all packages and server at ${serverUrl}`));
+      } catch (error) {
+        utils.showServerError('Failed to stop server', error);
+        process.exit(1);
+      }
+      return;
+    }
 
+    let failed = 0;
     for (const packageName of packageNames) {
-      const plugin = pluginLoader.getPlugin(packageName);
+      try {
+        const report = await remoteClient.stopPackage(serverUrl, packageName);
+        utils.showStopReport(packageName, report);
+        if (report.leftover && report.leftover.length > 0) failed++;
+      } catch (error) {
+        utils.showServerError(`Failed to stop ${packageName}`, error);
+        failed++;
+      }
+    }
 
-      if (!plugin) {
-        console.log(chalk.red(`Package '${packageName}' not found`));
-        packageInstaller.showInstallationInstructions(packageName);
-        continue;
+    if (failed > 0) {
+      process.exit(1);
+    }
+  });
+
+  // Restart command
+  const restartCommand = program
+    .command('restart')
+    .description('Restart running packages on the server')
+    .option('--packages <packages>', 'Comma-separated list of packages to restart (default: all running packages)')
+    .option('--server <url>', 'Zypin server URL (e.g., http://server:8421)')
+    .option('--token <token>', 'API token for the server (or set ZYPIN_TOKEN)');
+
+  restartCommand.helpInformation = function () {
+    utils.showRestartHelp();
+    return '';
+  };
+
+  restartCommand.action(async (options) => {
+    if (program.opts().debug) {
+      process.env.ZYPIN_DEBUG = 'true';
+      console.log(chalk.gray('Debug mode enabled'));
+    }
+
+    const serverUrl = options.server || daemon.getServerUrl();
+    remoteClient.setToken(options.token);
+
+    // Packages are owned by the server process, so restarting requires a running server
+    const serverStatus = await zypinServer.status(serverUrl, options.token);
+    if (!serverStatus.isRunning) {
+      console.log(chalk.yellow(`Zypin server is not running at ${serverUrl}`));
+      console.log(chalk.gray('Use "zypin start --packages <package>" to start packages'));
+      process.exit(1);
+    }
+
+    let packageNames;
+    if (options.packages) {
+      packageNames = options.packages.split(',').map(name => name.trim());
+    } else {
+      try {
+        const status = await remoteClient.getHealth(serverUrl);
+        packageNames = status.packages.map(proc => proc.name);
+      } catch (error) {
+        utils.showServerError('Failed to get running packages', error);
+        process.exit(1);
       }
+    }
 
-      if (!plugin.hasStart) {
-        console.log(chalk.red(`Package '${packageName}' does not support start functionality`));
-        continue;
+    if (packageNames.length === 0) {
+      console.log(chalk.yellow('No packages currently running on server'));
+      return;
+    }
+
+    let failed = 0;
+    for (const packageName of packageNames) {
+      console.log(chalk.blue(`Restarting ${packageName}...`));
+      try {
+        await remoteClient.restartPackage(serverUrl, packageName);
+        console.log(chalk.green(`✓ Restarted ${packageName}`));
+      } catch (error) {
+        utils.showServerError(`Failed to restart ${packageName}`, error);
+        failed++;
       }
+    }
 
-      const started = await processManager.startPackage(packageName, plugin);
-      if (started) startedCount++;
+    if (failed > 0) {
+      process.exit(1);
     }
+  });
 
-    console.log(chalk.green(`Started ${startedCount} of ${packageNames.length} packages`));
+  // Server command
+  const serverCommand = program
+    .command('server')
+    .description('Manage the Zypin server (status, stop, logs, list)')
+    .argument('[action]', 'Action to perform: status, stop, logs or list')
+    .option('--follow', 'Keep printing new log lines (logs only)')
+    .option('--lines <number>', 'Number of log lines to show (logs only)', '50');
 
-    // Stop server if no packages were started
-    if (startedCount === 0) {
-      console.log(chalk.gray('No packages started. Stopping server.'));
-      await zypinServer.stopServer();
+  serverCommand.helpInformation = function () {
+    utils.showServerHelp();
+    return '';
+  };
+
+  serverCommand.action(async (action, options) => {
+    if (program.opts().debug) {
+      process.env.ZYPIN_DEBUG = 'true';
+      console.log(chalk.gray('Debug mode enabled'));
+    }
+
+    if (action === 'list') {
+      const instances = daemon.listInstances();
+      if (instances.length === 0) {
+        console.log(chalk.yellow('No Zypin servers are running'));
+        return;
+      }
+
+      console.log(chalk.blue('Zypin Server Instances'));
+      console.log(chalk.gray('='.repeat(30)));
+      instances.forEach(instance => {
+        const marker = instance.name === config.instance ? chalk.green('●') : chalk.gray('●');
+        console.log(`  ${marker} ${instance.name}  ${daemon.formatUrl(instance.host, instance.port)}  (PID: ${instance.pid})`);
+      });
+      return;
+    }
+
+    if (action === 'status') {
+      const status = daemon.getStatus();
+      if (!status.running) {
+        console.log(chalk.yellow(`Zypin server is not running${describeInstance()}`));
+        if (status.stale) {
+          console.log(chalk.gray(`Removed stale pidfile (PID: ${status.pid})`));
+        }
+        process.exit(1);
+      }
+
+      const serverStatus = await zypinServer.status(daemon.formatUrl(status.host, status.port));
+
+      console.log(chalk.blue('Zypin Server Status'));
+      console.log(chalk.gray('='.repeat(30)));
+      console.log(`  ${chalk.green('●')} PID: ${status.pid}`);
+      console.log(`     Mode: ${status.detached ? 'background' : 'foreground'}`);
+      console.log(`     Instance: ${status.instance || config.instance}`);
+      console.log(`     URL: ${daemon.formatUrl(status.host, status.port)}`);
+      console.log(`     Started: ${new Date(status.startTime).toLocaleString()}`);
+      console.log(`     API: ${serverStatus.isRunning ? chalk.green('responding') : chalk.red('not responding')}`);
+      if (status.logFile) {
+        console.log(`     Logs: ${status.logFile}`);
+      }
+      return;
+    }
+
+    if (action === 'stop') {
+      const result = await daemon.stop();
+      if (!result.stopped) {
+        console.log(chalk.yellow('Zypin server is not running'));
+        return;
+      }
+
+      if (result.forced) {
+        console.log(chalk.yellow(`Server (PID: ${result.pid}) did not shut down in time and was killed`));
+      } else {
+        console.log(chalk.green(`✓ Stopped Zypin server (PID: ${result.pid})`));
+      }
+      return;
+    }
+
+    if (action === 'logs') {
+      const logFile = config.daemon.logFile;
+      if (!fs.existsSync(logFile)) {
+        console.log(chalk.yellow('No server log found'));
+        console.log(chalk.gray('Logs are written when the server runs with "zypin start --detach"'));
+        return;
+      }
+
+      process.stdout.write(fileTail.readLastLines(logFile, parseInt(options.lines) || 50));
+
+      if (options.follow) {
+        fileTail.follow(logFile, data => process.stdout.write(data));
+      }
+      return;
+    }
+
+    utils.showServerHelp();
+  });
+
+  // Logs command
+  const logsCommand = program
+    .command('logs')
+    .description('Show output of a running package')
+    .argument('[package]', 'Package to show logs for')
+    .option('--follow', 'Keep printing new log output')
+    .option('--lines <number>', 'Number of log lines to show', '100')
+    .option('--server <url>', 'Zypin server URL (e.g., http://server:8421)')
+    .option('--token <token>', 'API token for the server (or set ZYPIN_TOKEN)');
+
+  logsCommand.helpInformation = function () {
+    utils.showLogsHelp();
+    return '';
+  };
+
+  logsCommand.action(async (packageName, options) => {
+    if (program.opts().debug) {
+      process.env.ZYPIN_DEBUG = 'true';
+      console.log(chalk.gray('Debug mode enabled'));
+    }
+
+    if (!packageName) {
+      utils.showLogsHelp();
+      return;
+    }
+
+    const lines = parseInt(options.lines) || 100;
+    const serverUrl = options.server || daemon.getServerUrl();
+    remoteClient.setToken(options.token);
+
+    const serverStatus = await zypinServer.status(serverUrl, options.token);
+    if (!serverStatus.isRunning) {
+      if (options.server) {
+        console.log(chalk.red(`Zypin server is not reachable at ${serverUrl}`));
+        process.exit(1);
+      }
+
+      // No local server - read the log files directly
+      if (!logStore.hasLogs(packageName)) {
+        console.log(chalk.yellow(`No logs found for package '${packageName}'`));
+        process.exit(1);
+      }
+
+      process.stdout.write(logStore.read(packageName, lines));
+      if (options.follow) {
+        logStore.follow(packageName, data => process.stdout.write(data));
+      }
+      return;
+    }
+
+    try {
+      await remoteClient.streamLogs(serverUrl, packageName, {
+        lines,
+        follow: !!options.follow,
+        onData: data => process.stdout.write(data)
+      });
+    } catch (error) {
+      utils.showServerError(`Failed to get logs for ${packageName}`, error);
+      process.exit(1);
     }
   });
 
@@ -228,7 +723,7 @@ function setupCommands(program) {
       console.log(chalk.blue('💡 Next steps:'));
       console.log(chalk.gray('  - Restart any running services: zypin start --packages <package>'));
       console.log(chalk.gray('  - Start MCP server: zypin mcp'));
-      console.log(chalk.gray('  - Check health: zypin health --server http://localhost:8421'));
+      console.log(chalk.gray(`  - Check health: zypin health --server ${daemon.getServerUrl()}`));
     });
 
   // MCP command
@@ -306,7 +801,8 @@ function setupCommands(program) {
   const healthCommand = program
     .command('health')
     .description('Check health status of running packages')
-    .option('--server <url>', 'Zypin server URL (e.g., http://server:8421)');
+    .option('--server <url>', 'Zypin server URL (e.g., http://server:8421)')
+    .option('--token <token>', 'API token for the server (or set ZYPIN_TOKEN)');
 
   healthCommand.helpInformation = function () {
     utils.showHealthHelp();
@@ -319,41 +815,54 @@ function setupCommands(program) {
       console.log(chalk.gray('Debug mode enabled'));
     }
 
-    const serverUrl = options.server;
-
-    if (!serverUrl) {
-      utils.showHealthHelp();
-      return;
-    }
+    const serverUrl = options.server || daemon.getServerUrl();
 
     // Check if server is running, exit with message if not
-    const serverStatus = await zypinServer.status(serverUrl);
+    const serverStatus = await zypinServer.status(serverUrl, options.token);
     if (!serverStatus.isRunning) {
       console.log(chalk.yellow('Zypin server is not running'));
       console.log(chalk.gray('Use "zypin start" to start the server first'));
-      return;
+      process.exit(1);
     }
 
+    remoteClient.setToken(options.token);
+
+    let status;
     try {
-      const response = await fetch(`${serverUrl}/api/health`);
-      const status = await response.json();
+      status = await remoteClient.getHealth(serverUrl);
+    } catch (err) {
+      utils.showServerError('Failed to connect to server', err);
+      process.exit(1);
+    }
 
-      console.log(chalk.blue('Zypin Framework Status (Remote)'));
-      console.log(chalk.gray('='.repeat(40)));
+    console.log(chalk.blue('Zypin Framework Status (Remote)'));
+    console.log(chalk.gray('='.repeat(40)));
 
-      if (status.running === 0) {
-        console.log(chalk.yellow('No packages currently running on server'));
-      } else {
-        console.log(chalk.green(`${status.running} package(s) running on server:`));
+    if (status.packages.length === 0) {
+      console.log(chalk.yellow('No packages currently running on server'));
+    } else {
+      console.log(`Overall: ${utils.formatHealthStatus(status.status)} (${status.running} of ${status.packages.length} package(s) running)`);
 
-        status.packages.forEach(proc => {
-          console.log(`  ${chalk.green('●')} ${proc.name} (PID: ${proc.pid})`);
-          console.log(`     Started: ${new Date(proc.startTime).toLocaleString()}`);
-          console.log(`     Status: ${chalk.green(proc.status || 'running')}`);
-        });
-      }
-    } catch (err) {
-      console.log(chalk.red('Failed to connect to server:', err.message));
+      status.packages.forEach(proc => {
+        console.log(`  ${utils.formatHealthStatus(proc.status, true)} ${proc.name} (PID: ${proc.pid})`);
+        console.log(`     Started: ${new Date(proc.startTime).toLocaleString()}`);
+        console.log(`     Status: ${utils.formatHealthStatus(proc.status)}`);
+        if (proc.details) {
+          console.log(`     Details: ${chalk.gray(proc.details)}`);
+        }
+        if (proc.restarts && (proc.restarts.count > 0 || proc.restarts.lastExitAt)) {
+          const lastExit = proc.restarts.lastExitSignal
+            ? `signal ${proc.restarts.lastExitSignal}`
+            : `code ${proc.restarts.lastExitCode}`;
+          const exhausted = proc.restarts.exhausted ? chalk.red(' - restart limit reached') : '';
+          console.log(`     Restarts: ${proc.restarts.count}/${proc.restarts.maxRestarts} (last exit: ${lastExit})${exhausted}`);
+        }
+      });
+    }
+
+    // Non-zero exit lets CI gate on package health
+    if (status.status !== 'healthy') {
+      process.exit(1);
     }
   });
 }
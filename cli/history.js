@@ -0,0 +1,384 @@
+/**
+ * History commands for Zypin Testing Framework
+ * Lists, shows and reports on saved test runs, available in both global and template mode
+ *
+ * TODO:
+ * - List saved runs with package, template, project, result and time filters
+ * - Only list the current project's runs inside a project (--all-projects for every project)
+ * - Show a single run with its CLI params and per-test details
+ * - Write HTML (or other) reports for a saved run
+ * - Merge the JSON reports of sharded runs into one report
+ * - Read the history of a remote server with --server
+ * - Print JSON for scripts with --json
+ */
+
+const chalk = require('chalk');
+const fs = require('fs-extra');
+const path = require('path');
+const runHistory = require('../core/run-history');
+const resultModel = require('../core/result-model');
+const reporters = require('../core/reporters');
+const remoteClient = require('../core/remote-client');
+const utils = require('./utils');
+
+const RESULT_ICONS = { passed: '✅', failed: '❌', cancelled: '⏹', error: '💥' };
+const TEST_ICONS = { passed: chalk.green('✓'), failed: chalk.red('✗'), skipped: chalk.gray('-') };
+
+// Helper function to format a duration in ms, e.g. 850ms, 12.3s, 4m 05s
+function formatDuration(ms) {
+  if (typeof ms !== 'number') return '-';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Helper function to format a timestamp in local time, e.g. 2026-10-19 17:49:56
+function formatTime(iso) {
+  const date = new Date(iso);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+function formatStats(stats) {
+  if (!stats) return '';
+  const parts = [`${stats.passed}/${stats.total} passed`];
+  if (stats.failed > 0) parts.push(`${stats.failed} failed`);
+  if (stats.skipped > 0) parts.push(`${stats.skipped} skipped`);
+  return parts.join(', ');
+}
+
+function showRunList(runs, source) {
+  if (runs.length === 0) {
+    console.log(chalk.yellow(`No runs found in ${source}`));
+    return;
+  }
+
+  console.log(chalk.blue(`📜 Run History (${source})`));
+  console.log(chalk.gray('='.repeat(30)));
+  runs.forEach(run => {
+    const icon = RESULT_ICONS[run.result] || '•';
+    const where = run.source === 'server' ? chalk.gray(' [server]') : '';
+    console.log(`${icon} ${chalk.bold(run.id)}  ${chalk.gray(formatTime(run.startedAt))}  ` +
+      `${run.package}/${run.template}${run.project ? chalk.gray(` (${run.project})`) : ''}  ` +
+      `${formatDuration(run.duration)}${where}`);
+    const details = formatStats(run.stats) || run.message;
+    if (details) {
+      console.log(chalk.gray(`   ${details}`));
+    }
+  });
+  console.log('');
+  console.log(chalk.gray('Show a run with per-test details: zypin history <run-id>'));
+}
+
+function showRunDetails(run) {
+  const icon = RESULT_ICONS[run.result] || '•';
+  console.log(chalk.blue(`${icon} Run ${run.id}`));
+  console.log(chalk.gray('='.repeat(30)));
+  console.log(`  Result:    ${run.result}${run.message ? chalk.gray(` - ${run.message}`) : ''}`);
+  console.log(`  Package:   ${run.package}/${run.template}`);
+  if (run.project) console.log(`  Project:   ${run.project}`);
+  console.log(`  Started:   ${formatTime(run.startedAt)}`);
+  console.log(`  Duration:  ${formatDuration(run.duration)}`);
+  console.log(`  Where:     ${run.source}${run.jobId ? chalk.gray(` (job ${run.jobId})`) : ''}`);
+  console.log(`  Inputs:    ${run.inputs.join(', ')}`);
+
+  const params = Object.entries(run.cliParams || {});
+  if (params.length > 0) {
+    console.log(`  Params:    ${params.map(([key, value]) => `${key}=${value}`).join(', ')}`);
+  }
+  console.log('');
+
+  if (!run.suites) {
+    console.log(chalk.gray('The package did not report per-test details for this run'));
+    return;
+  }
+
+  console.log(chalk.blue(`🧪 Tests (${formatStats(run.stats)})`));
+  console.log(chalk.gray('='.repeat(30)));
+  run.suites.forEach(suite => {
+    console.log(`  ${suite.name}`);
+    suite.tests.forEach(test => {
+      const duration = test.duration !== null ? chalk.gray(` (${formatDuration(test.duration)})`) : '';
+      console.log(`    ${TEST_ICONS[test.status]} ${test.name}${duration}`);
+      if (test.error) {
+        console.log(chalk.red(`        ${test.error.message.split('\n').join('\n        ')}`));
+      }
+    });
+  });
+}
+
+// Helper function to get the history filter of the project in the current directory
+function getProjectScope(remote) {
+  const packageJson = fs.readJsonSync(path.join(process.cwd(), 'package.json'));
+  const { package: packageName, template } = packageJson.zypin;
+
+  // Local runs remember their project directory, server runs only the project name
+  return remote
+    ? { package: packageName, template, project: packageJson.name }
+    : { package: packageName, template, baseDir: process.cwd() };
+}
+
+function setupCommands(program, { isProject = false } = {}) {
+  const historyCommand = program
+    .command('history')
+    .description('Show saved test runs')
+    .argument('[run-id]', 'Run to show in detail (a unique prefix is enough)')
+    .option('--package <name>', 'Only runs of this package')
+    .option('--template <name>', 'Only runs of this template')
+    .option('--project <name>', 'Only runs of this project')
+    .option('--result <result>', 'Only runs with this result (passed, failed, cancelled, error)')
+    .option('--since <time>', 'Only runs since a date or duration ago (e.g. 2026-01-31, 12h, 7d)')
+    .option('--limit <number>', 'Maximum number of runs to list', '20')
+    .option('--all-projects', 'List runs of every project, not just the current one')
+    .option('--json', 'Print JSON instead of text')
+    .option('--server <url>', 'Read the history of a Zypin server (e.g., http://server:8421)')
+    .option('--token <token>', 'API token for the server (or set ZYPIN_TOKEN)');
+
+  historyCommand.helpInformation = function () {
+    utils.showHistoryHelp();
+    return '';
+  };
+
+  historyCommand.action(async (runId, options) => {
+    if (program.opts().debug) {
+      process.env.ZYPIN_DEBUG = 'true';
+      console.log(chalk.gray('Debug mode enabled'));
+    }
+
+    const filter = {
+      package: options.package,
+      template: options.template,
+      project: options.project,
+      result: options.result,
+      since: options.since,
+      limit: options.limit
+    };
+
+    // Inside a project only its own runs are listed, like --last-failed only sees this project's results
+    const scoped = isProject && !runId && !options.allProjects && !options.project;
+    if (scoped) {
+      const scope = getProjectScope(!!options.server);
+      Object.keys(scope).forEach(key => {
+        if (!filter[key]) filter[key] = scope[key];
+      });
+    }
+
+    let output;
+    try {
+      if (options.server) {
+        remoteClient.setToken(options.token);
+        output = runId
+          ? (await remoteClient.getRun(options.server, runId)).run
+          : (await remoteClient.getRuns(options.server, filter)).runs;
+      } else {
+        output = runId ? runHistory.get(runId) : runHistory.list(filter);
+      }
+    } catch (error) {
+      if (options.server) {
+        utils.showServerError('Failed to read run history', error);
+      } else {
+        console.log(chalk.red(error.message));
+      }
+      process.exit(1);
+    }
+
+    if (runId && !output) {
+      console.log(chalk.red(`Run '${runId}' not found in the history`));
+      process.exit(1);
+    }
+
+    if (options.json) {
+      console.log(JSON.stringify(output, null, 2));
+    } else if (runId) {
+      showRunDetails(output);
+    } else {
+      showRunList(output, `${options.server || 'local history'}${scoped ? ', this project' : ''}`);
+      if (scoped) {
+        console.log(chalk.gray('Runs of every project: zypin history --all-projects'));
+      }
+    }
+  });
+
+  // Report command - writes reports for a saved run
+  const reportCommand = program
+    .command('report')
+    .description('Write reports for a saved test run')
+    .argument('[run-id]', 'Run to report on (a unique prefix is enough)')
+    .option('--reporter <name>', 'Reporter: html, junit, json, tap, console (repeatable)', utils.collectOption, [])
+    .option('--output <dir>', 'Directory for report files [default: zypin-reports]')
+    .option('--server <url>', 'Read the run from a Zypin server (e.g., http://server:8421)')
+    .option('--token <token>', 'API token for the server (or set ZYPIN_TOKEN)');
+
+  reportCommand.helpInformation = function () {
+    utils.showReportHelp();
+    return '';
+  };
+
+  reportCommand.action(async (runId, options) => {
+    if (program.opts().debug) {
+      process.env.ZYPIN_DEBUG = 'true';
+      console.log(chalk.gray('Debug mode enabled'));
+    }
+
+    if (!runId) {
+      utils.showReportHelp();
+      return;
+    }
+
+    const { names, errors } = reporters.resolve(options.reporter.length > 0 ? options.reporter : ['html']);
+    if (errors.length > 0) {
+      errors.forEach(error => console.log(chalk.red(error)));
+      process.exit(1);
+    }
+
+    let run;
+    try {
+      if (options.server) {
+        remoteClient.setToken(options.token);
+        run = (await remoteClient.getRun(options.server, runId)).run;
+      } else {
+        run = runHistory.get(runId);
+      }
+    } catch (error) {
+      if (options.server) {
+        utils.showServerError('Failed to read run history', error);
+      } else {
+        console.log(chalk.red(error.message));
+      }
+      process.exit(1);
+    }
+
+    if (!run) {
+      console.log(chalk.red(`Run '${runId}' not found in the history`));
+      console.log(chalk.gray('List saved runs with "zypin history"'));
+      process.exit(1);
+    }
+
+    try {
+      // Attachments of server runs stay on the server, so they are only listed
+      const remote = !!options.server || run.source === 'server';
+      const files = reporters.write(resultModel.fromRun(run), names, options.output, {
+        baseDir: remote ? null : (run.baseDir || process.cwd())
+      });
+      files.forEach(file => console.log(chalk.green(`✓ Report: ${path.relative(process.cwd(), file)}`)));
+    } catch (error) {
+      console.log(chalk.red(`Failed to write reports: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+  // Merge reports command - combines the JSON reports of sharded runs
+  const mergeCommand = program
+    .command('merge-reports')
+    .description('Merge JSON reports (e.g. of --shard runs) into one report')
+    .argument('[reports...]', 'JSON report files or directories containing results.json')
+    .option('--reporter <name>', 'Reporter: json, html, junit, tap, console (repeatable)', utils.collectOption, [])
+    .option('--output <dir>', 'Directory for report files [default: zypin-reports/merged]');
+
+  mergeCommand.helpInformation = function () {
+    utils.showMergeReportsHelp();
+    return '';
+  };
+
+  mergeCommand.action(async (reportPaths, options) => {
+    if (program.opts().debug) {
+      process.env.ZYPIN_DEBUG = 'true';
+      console.log(chalk.gray('Debug mode enabled'));
+    }
+
+    if (reportPaths.length === 0) {
+      utils.showMergeReportsHelp();
+      return;
+    }
+
+    const { names, errors } = reporters.resolve(options.reporter.length > 0 ? options.reporter : ['json']);
+    if (errors.length > 0) {
+      errors.forEach(error => console.log(chalk.red(error)));
+      process.exit(1);
+    }
+
+    // Not zypin-reports itself, `zypin run` writes a results.json there that may be one of the inputs
+    const outputDir = options.output || path.join('zypin-reports', 'merged');
+    const reports = [];
+    for (const reportPath of reportPaths) {
+      const filePath = fs.existsSync(reportPath) && fs.statSync(reportPath).isDirectory()
+        ? path.join(reportPath, 'results.json')
+        : reportPath;
+      if (path.resolve(path.dirname(filePath)) === path.resolve(outputDir)) {
+        console.log(chalk.red(`Output directory ${outputDir} contains the input report ${filePath}, merging would overwrite it`));
+        console.log(chalk.gray('Pick another directory with --output'));
+        process.exit(1);
+      }
+      try {
+        const report = fs.readJsonSync(filePath);
+        if (report.version !== 1 || !Array.isArray(report.suites)) {
+          throw new Error('not a Zypin JSON report (write one with "zypin run --reporter json")');
+        }
+        reports.push(report);
+      } catch (error) {
+        console.log(chalk.red(`Failed to read ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`));
+        process.exit(1);
+      }
+    }
+
+    // Point out shards that are missing or were merged twice, and merges that don't add up to the whole run
+    let incomplete = false;
+    const shards = reports.filter(report => report.shard).map(report => report.shard);
+    if (shards.length > 0) {
+      const total = Math.max(...shards.map(shard => shard.total));
+      const missing = [];
+      for (let index = 1; index <= total; index++) {
+        if (!shards.some(shard => shard.index === index)) missing.push(`${index}/${total}`);
+      }
+      if (missing.length > 0) {
+        console.log(chalk.yellow(`⚠️  Missing shard(s): ${missing.join(', ')}`));
+      }
+      if (new Set(shards.map(shard => shard.index)).size < shards.length) {
+        console.log(chalk.yellow('⚠️  Some shards are included more than once'));
+      }
+      // Shards split from different file lists or timings don't add up to the whole run
+      const fingerprints = new Set(shards.filter(shard => shard.fingerprint).map(shard => shard.fingerprint));
+      if (fingerprints.size > 1) {
+        console.log(chalk.red('❌ The shards were split from different test files or timings, so they may have skipped or repeated files'));
+        console.log(chalk.gray('Run every shard with the same --input and --shard-timings'));
+        incomplete = true;
+      }
+    }
+
+    // Every test file of the merged runs must have run exactly once
+    const runCounts = new Map();
+    reports.forEach(report => (report.inputs || []).forEach(file => runCounts.set(file, (runCounts.get(file) || 0) + 1)));
+    const expected = new Set(reports.flatMap(report => (report.shard && report.shard.allInputs) || report.inputs || []));
+    const repeated = Array.from(runCounts.keys()).filter(file => runCounts.get(file) > 1).sort();
+    const lost = Array.from(expected).filter(file => !runCounts.has(file)).sort();
+    if (repeated.length > 0) {
+      console.log(chalk.red(`❌ ${repeated.length} test file(s) ran in more than one report:`));
+      repeated.forEach(file => console.log(chalk.red(`  • ${file}`)));
+      incomplete = true;
+    }
+    if (lost.length > 0) {
+      console.log(chalk.red(`❌ ${lost.length} test file(s) ran in none of the reports:`));
+      lost.forEach(file => console.log(chalk.red(`  • ${file}`)));
+      incomplete = true;
+    }
+
+    const merged = resultModel.merge(reports);
+    try {
+      const files = reporters.write(merged, names, outputDir);
+      console.log(`${merged.success && !incomplete ? '✅' : '❌'} ${merged.message}`);
+      files.forEach(file => console.log(chalk.green(`✓ Report: ${path.relative(process.cwd(), file)}`)));
+    } catch (error) {
+      console.log(chalk.red(`Failed to write reports: ${error.message}`));
+      process.exit(1);
+    }
+    if (incomplete) {
+      process.exit(1);
+    }
+  });
+}
+
+module.exports = {
+  setupCommands
+};
@@ -8,14 +8,34 @@
  * - Handle mode-specific help and error messages
  * - Maintain consistent command parsing and error handling
  * - Add debug mode support across both modes
+ * - Select the server instance (--instance) before core modules load
  */
 
 const { Command } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
+
+// Helper function to apply --instance before core modules load the instance's state
+function applyInstanceOption(argv) {
+  const index = argv.findIndex(arg => arg === '--instance' || arg.startsWith('--instance='));
+  if (index === -1) {
+    return;
+  }
+
+  const name = argv[index].includes('=') ? argv[index].split('=')[1] : argv[index + 1];
+  if (!name || !/^[A-Za-z0-9_-]+$/.test(name)) {
+    console.log(chalk.red('Invalid --instance name. Use letters, numbers, "-" and "_" (e.g., --instance team-a)'));
+    process.exit(1);
+  }
+  process.env.ZYPIN_INSTANCE = name;
+}
+
+applyInstanceOption(process.argv);
+
 const globalCommands = require('./global');
 const templateCommands = require('./template');
+const historyCommands = require('./history');
 const utils = require('./utils');
 
 const program = new Command();
@@ -45,8 +65,11 @@ function showModeHelp(isProject) {
     console.log('');
     console.log(chalk.blue('📋 Available Commands:'));
     console.log(chalk.gray('='.repeat(25)));
-    console.log(chalk.gray('  run     Run tests using detected template'));
-    console.log(chalk.gray('  guide   View template guides and documentation'));
+    console.log(chalk.gray('  run            Run tests using detected template'));
+    console.log(chalk.gray('  guide          View template guides and documentation'));
+    console.log(chalk.gray('  history        Show saved test runs'));
+    console.log(chalk.gray('  report         Write an HTML (or other) report for a saved run'));
+    console.log(chalk.gray('  merge-reports  Merge JSON reports of sharded runs'));
     console.log('');
     console.log(chalk.gray('For more help: zypin <command> --help'));
   } else {
@@ -57,9 +80,16 @@ function showModeHelp(isProject) {
     console.log(chalk.blue('📋 Available Commands:'));
     console.log(chalk.gray('='.repeat(25)));
     console.log(chalk.gray('  start          Start testing packages and server'));
+    console.log(chalk.gray('  stop           Stop packages and server'));
+    console.log(chalk.gray('  restart        Restart running packages'));
+    console.log(chalk.gray('  server         Manage the Zypin server (status, stop, logs)'));
+    console.log(chalk.gray('  logs           Show output of a running package'));
     console.log(chalk.gray('  create-project Create a new test project from template'));
     console.log(chalk.gray('  update         Update zypin framework and packages'));
     console.log(chalk.gray('  health         Check health status of running packages'));
+    console.log(chalk.gray('  history        Show saved test runs'));
+    console.log(chalk.gray('  report         Write an HTML (or other) report for a saved run'));
+    console.log(chalk.gray('  merge-reports  Merge JSON reports of sharded runs'));
     console.log(chalk.gray('  mcp            Start MCP server for testing automation'));
     console.log('');
     console.log(chalk.gray('For more help: zypin <command> --help'));
@@ -71,7 +101,8 @@ program
   .name('zypin')
   .description('Tool-agnostic testing framework')
   .version('0.1.0')
-  .option('--debug', 'Enable debug mode to show detailed output');
+  .option('--debug', 'Enable debug mode to show detailed output')
+  .option('--instance <name>', 'Zypin server instance with its own state and server (or set ZYPIN_INSTANCE)');
 
 // Auto-help behavior when no arguments provided
 if (process.argv.length <= 2) {
@@ -91,23 +122,25 @@ if (isProject) {
   globalCommands.setupCommands(program);
 }
 
+// Run history and reports are useful in both modes
+historyCommands.setupCommands(program, { isProject });
+
 // Handle global options
 program.on('option:debug', () => {
   process.env.ZYPIN_DEBUG = 'true';
   console.log(chalk.gray('Debug mode enabled'));
 });
 
-// Cleanup server on exit
-process.on('SIGINT', async () => {
+// Cleanup server and packages on exit - wait for packages to shut down before exiting
+async function shutdown() {
   const zypinServer = require('../core/server');
+  const processManager = require('../core/process-manager');
   await zypinServer.stopServer();
+  await processManager.cleanup();
   process.exit(0);
-});
+}
 
-process.on('SIGTERM', async () => {
-  const zypinServer = require('../core/server');
-  await zypinServer.stopServer();
-  process.exit(0);
-});
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 program.parse(process.argv);
@@ -9,6 +9,15 @@
  * - Integrate with plugin-loader for package execution
  * - Support template-specific configuration and options
  * - Add proper error messages for missing dependencies
+ * - Save local runs to the run history
+ * - Write console, JUnit XML, JSON, TAP and HTML reports (--reporter, --output)
+ * - Read run defaults and named profiles from zypin.config.js (--profile)
+ * - Expand --input globs and directories into test files (--exclude, testMatch)
+ * - Re-run affected tests on file changes (--watch)
+ * - Re-run only the tests that failed in previous runs (--last-failed)
+ * - Run one shard of the test files on each CI machine (--shard)
+ * - Split test files across parallel worker processes (--parallel, --bail)
+ * - Filter tests by name and tags (--grep, --tag, --exclude-tag)
  */
 
 const chalk = require('chalk');
@@ -17,21 +26,168 @@ const fs = require('fs');
 const pluginLoader = require('../core/plugin-loader');
 const packageInstaller = require('../core/package-installer');
 const templateScanner = require('../core/template-scanner');
+const remoteClient = require('../core/remote-client');
+const runHistory = require('../core/run-history');
+const resultCache = require('../core/result-cache');
+const resultModel = require('../core/result-model');
+const reporters = require('../core/reporters');
+const configFile = require('../core/config-file');
+const inputResolver = require('../core/input-resolver');
+const sharding = require('../core/sharding');
+const testFilter = require('../core/test-filter');
+const testRunner = require('../core/test-runner');
+const workerPool = require('../core/worker-pool');
+const optionSchema = require('../core/option-schema');
 const utils = require('./utils');
+const watchMode = require('./watch');
+
+// Schema for run settings from the command line and the config file `run` and `profiles` sections
+const RUN_OPTIONS = {
+  browser: { type: 'string' },
+  headless: { type: 'boolean' },
+  timeout: { type: 'integer', min: 1 },
+  parallel: { type: 'integer', min: 1 },
+  retries: { type: 'integer', min: 0 },
+  bail: { type: 'boolean' },
+  windowSize: { type: 'string' }
+};
+
+// Schema for the config file settings that select test files, they are not passed to the plugin
+const INPUT_OPTIONS = {
+  testMatch: { type: 'array' },
+  exclude: { type: 'array' }
+};
+
+// Schema for the test filter settings, they reach the plugin as one cliParams.filter object
+const FILTER_OPTIONS = {
+  grep: { type: 'string' },
+  tag: { type: 'array' },
+  excludeTag: { type: 'array' }
+};
+
+// Helper function to split config file run settings into plugin CLI params, input and filter settings
+function splitRunSettings(values) {
+  const params = {};
+  const input = {};
+  const filter = {};
+  Object.entries(values).forEach(([key, value]) => {
+    if (INPUT_OPTIONS[key]) {
+      input[key] = value;
+    } else if (FILTER_OPTIONS[key]) {
+      filter[key] = value;
+    } else {
+      params[key] = value;
+    }
+  });
+  return { params, input, filter };
+}
+
+// Helper function to resolve run settings: command line over profile over zypin.config.js `run` defaults
+function resolveRunOptions(options, fileConfig) {
+  const errors = [];
+  const layers = [{ values: configFile.getRunDefaults(fileConfig), prefix: 'run.' }];
+
+  if (options.profile) {
+    const profile = configFile.getProfile(fileConfig, options.profile);
+    if (!profile) {
+      const available = configFile.getProfileNames(fileConfig);
+      errors.push(`Profile '${options.profile}' not found in zypin.config.js` +
+        (available.length > 0 ? ` (available: ${available.join(', ')})` : ' (no profiles defined)'));
+    } else {
+      layers.push({ values: profile, prefix: `profiles.${options.profile}.` });
+    }
+  }
+
+  const cliParams = {};
+  const inputOptions = { testMatch: null, exclude: [] };
+  const filterSettings = { grep: null, tags: [], excludeTags: [] };
+  layers.forEach(({ values, prefix }) => {
+    const { params, input, filter } = splitRunSettings(values);
+    const validation = optionSchema.validate(RUN_OPTIONS, params, prefix);
+    errors.push(...validation.errors);
+    Object.assign(cliParams, validation.values);
+
+    const inputValidation = optionSchema.validate(INPUT_OPTIONS, input, prefix);
+    errors.push(...inputValidation.errors);
+    // A profile's testMatch replaces the defaults, excludes add up
+    if (inputValidation.values.testMatch) inputOptions.testMatch = inputValidation.values.testMatch;
+    if (inputValidation.values.exclude) inputOptions.exclude.push(...inputValidation.values.exclude);
+
+    const filterValidation = optionSchema.validate(FILTER_OPTIONS, filter, prefix);
+    errors.push(...filterValidation.errors);
+    // Same for the filter: grep and tag are replaced, excluded tags add up
+    if (filterValidation.values.grep) filterSettings.grep = filterValidation.values.grep;
+    if (filterValidation.values.tag) filterSettings.tags = filterValidation.values.tag;
+    if (filterValidation.values.excludeTag) filterSettings.excludeTags.push(...filterValidation.values.excludeTag);
+  });
+
+  const cliValues = {};
+  Object.keys(RUN_OPTIONS).forEach(key => {
+    if (options[key] !== undefined) cliValues[key] = options[key];
+  });
+  const cliValidation = optionSchema.validate(RUN_OPTIONS, cliValues, '--');
+  errors.push(...cliValidation.errors);
+  Object.assign(cliParams, cliValidation.values);
+  inputOptions.exclude.push(...options.exclude);
+
+  if (options.grep) filterSettings.grep = options.grep;
+  if (options.tag.length > 0) filterSettings.tags = options.tag;
+  filterSettings.excludeTags.push(...options.excludeTag);
+  const { filter, errors: filterErrors } = testFilter.normalize(filterSettings);
+  errors.push(...filterErrors);
+  if (filter) cliParams.filter = filter;
+
+  return { cliParams, inputOptions, errors };
+}
+
+// Helper function to write reports, returning the report files (a failing reporter doesn't fail the run)
+function writeReports(report, reporterNames, outputDir, options = {}) {
+  try {
+    return reporters.write(report, reporterNames, outputDir, options);
+  } catch (error) {
+    console.log(chalk.red(`Failed to write reports: ${error.message}`));
+    return [];
+  }
+}
+
+// Helper function to print the final run result and written report files
+function showRunResult(success, message, reportFiles) {
+  if (success) {
+    console.log(chalk.green(`\n✅ ${message}`));
+  } else {
+    console.log(chalk.red(`\n❌ ${message}`));
+  }
+  reportFiles.forEach(file => console.log(chalk.gray(`Report: ${path.relative(process.cwd(), file)}`)));
+}
 
 function setupCommands(program) {
   // Run command
   const runCommand = program
     .command('run')
     .description('Run tests using detected template')
-    .option('--input <files>', 'Test files or directories to run (required)')
+    .option('--input <files>', 'Test files, directories or glob patterns to run (required)')
+    .option('--exclude <pattern>', 'Leave out test files matching a pattern (repeatable)', utils.collectOption, [])
     .option('--server <url>', 'Zypin server URL (e.g., http://server:8421)')
+    .option('--token <token>', 'API token for the server (or set ZYPIN_TOKEN)')
     .option('--browser <browser>', 'Browser to use (chrome, firefox, safari, edge)')
     .option('--headless', 'Run in headless mode')
+    .option('--no-headless', 'Run with a visible browser (overrides the config file)')
     .option('--timeout <ms>', 'Test timeout in milliseconds')
     .option('--parallel <number>', 'Number of parallel test executions')
+    .option('--bail', 'Stop at the first failure')
     .option('--retries <number>', 'Number of retries for failed tests')
-    .option('--window-size <size>', 'Browser window size (WIDTHxHEIGHT)');
+    .option('--window-size <size>', 'Browser window size (WIDTHxHEIGHT)')
+    .option('--reporter <name>', 'Reporter: console, junit, json, tap, html (repeatable)', utils.collectOption, [])
+    .option('--output <dir>', 'Directory for report files [default: zypin-reports]')
+    .option('--watch', 'Re-run affected tests when files change')
+    .option('--last-failed', 'Only re-run the tests that failed the last time they ran')
+    .option('--shard <i/n>', 'Only run shard i of n (e.g., 2/4)')
+    .option('--shard-timings <file>', 'Balance shards by the file durations of a timing file or JSON report')
+    .option('--grep <pattern>', 'Only run tests whose title matches a regular expression')
+    .option('--tag <tag>', 'Only run tests with a tag (repeatable)', utils.collectOption, [])
+    .option('--exclude-tag <tag>', 'Leave out tests with a tag (repeatable)', utils.collectOption, [])
+    .option('--profile <name>', 'Run profile from zypin.config.js (e.g., ci, local)')
+    .option('--config <file>', 'Config file with run defaults and profiles (default: ./zypin.config.js)');
 
   runCommand.helpInformation = function() {
     utils.showRunHelp();
@@ -44,31 +200,78 @@ function setupCommands(program) {
       console.log(chalk.gray('Debug mode enabled'));
     }
 
-    if (!options.input) {
+    if (!options.input && !options.lastFailed) {
       utils.showRunHelp();
       return;
     }
 
-    // Handle server option if provided
-    const serverUrl = options.server;
-    if (serverUrl) {
-      console.log(chalk.blue(`Using remote server: ${serverUrl}`));
-      // TODO: Implement remote server integration for run command
-      console.log(chalk.yellow('Remote server integration for run command not yet implemented'));
-      return;
+    // Parse input entries (files, directories and globs are expanded below)
+    const inputs = inputResolver.splitInputs(options.input);
+
+    if (options.watch && options.server) {
+      console.log(chalk.red('--watch runs tests locally and can\'t be combined with --server'));
+      process.exit(1);
+    }
+
+    let shard = null;
+    if (options.shard) {
+      try {
+        shard = sharding.parse(options.shard);
+      } catch (error) {
+        console.log(chalk.red(error.message));
+        process.exit(1);
+      }
+      if (options.watch) {
+        console.log(chalk.red('--shard splits a CI build and can\'t be combined with --watch'));
+        process.exit(1);
+      }
+      // Every machine must pick from the same list, this machine's failed tests would change it
+      if (options.lastFailed) {
+        console.log(chalk.red('--last-failed uses results kept on this machine and can\'t be combined with --shard'));
+        process.exit(1);
+      }
     }
 
-    // Parse input files
-    const inputFiles = options.input.split(',').map(file => file.trim());
+    // Shards are only balanced by timings every machine has, never by results kept on one machine
+    let shardTimings = {};
+    if (options.shardTimings) {
+      if (!shard) {
+        console.log(chalk.red('--shard-timings only applies together with --shard'));
+        process.exit(1);
+      }
+      try {
+        shardTimings = sharding.loadTimings(options.shardTimings);
+      } catch (error) {
+        console.log(chalk.red(error.message));
+        process.exit(1);
+      }
+    }
+
+    const { names: reporterNames, errors: reporterErrors } = reporters.resolve(options.reporter);
+    if (reporterErrors.length > 0) {
+      reporterErrors.forEach(error => console.log(chalk.red(error)));
+      process.exit(1);
+    }
+
+    // Build CLI parameters from the command line, the selected profile and the config file defaults
+    let fileConfig;
+    try {
+      fileConfig = configFile.load(options.config);
+    } catch (error) {
+      console.log(chalk.red(error.message));
+      process.exit(1);
+    }
 
-    // Build CLI parameters object
-    const cliParams = {};
-    if (options.browser) cliParams.browser = options.browser;
-    if (options.headless) cliParams.headless = true;
-    if (options.timeout) cliParams.timeout = parseInt(options.timeout);
-    if (options.parallel) cliParams.parallel = parseInt(options.parallel);
-    if (options.retries) cliParams.retries = parseInt(options.retries);
-    if (options.windowSize) cliParams.windowSize = options.windowSize;
+    const { cliParams, inputOptions, errors: optionErrors } = resolveRunOptions(options, fileConfig);
+    if (optionErrors.length > 0) {
+      console.log(chalk.red('Invalid run options:'));
+      optionErrors.forEach(error => console.log(chalk.red(`  • ${error}`)));
+      console.log(chalk.gray('Use "zypin run --help" to see the run options'));
+      process.exit(1);
+    }
+    if (options.profile) {
+      console.log(chalk.gray(`Using profile '${options.profile}'`));
+    }
 
     // Get package from current directory
     const packageJsonPath = path.join(process.cwd(), 'package.json');
@@ -94,6 +297,168 @@ function setupCommands(program) {
       return;
     }
 
+    // --last-failed narrows the run to the test files that failed the last time they ran here
+    const project = { baseDir: process.cwd(), package: packageName, template: templateName };
+    const lastFailed = options.lastFailed ? resultCache.getFailed(project) : null;
+    if (lastFailed && lastFailed.files.length === 0) {
+      console.log(chalk.green('✅ No failed tests in the previous runs of this project'));
+      process.exit(0);
+    }
+    if (lastFailed && inputs.length === 0) {
+      // Failed files deleted since are left out rather than passed to the package as selectors
+      inputs.push(...lastFailed.files.filter(file => fs.existsSync(file)));
+    }
+    const filterFailed = files => (lastFailed ? files.filter(file => lastFailed.files.includes(file)) : files);
+
+    // Expand directories and globs here so every package gets the same list of files.
+    // testMatch from zypin.config.js wins over the package's own (which needs it installed locally).
+    const localPlugin = pluginLoader.getPlugin(packageName);
+    const resolveOptions = {
+      exclude: inputOptions.exclude,
+      testMatch: inputOptions.testMatch || (localPlugin ? localPlugin.testMatch : [])
+    };
+    // Helper function to expand the inputs, bad patterns (also from zypin.config.js) end the run
+    const resolveInputs = () => {
+      try {
+        return inputResolver.resolve(inputs, resolveOptions);
+      } catch (error) {
+        console.log(chalk.red(error.message));
+        process.exit(1);
+      }
+    };
+    const { files: resolvedFiles, unmatched, passedThrough } = resolveInputs();
+    if (resolvedFiles.length === 0) {
+      console.log(chalk.red(`No test files found for ${options.input ? `--input ${inputs.join(',')}` : 'the failed tests'}`));
+      if (inputOptions.exclude.length > 0) {
+        console.log(chalk.gray(`Excluded: ${inputOptions.exclude.join(', ')}`));
+      }
+      console.log(chalk.gray('Check the paths and patterns (relative to the project directory)'));
+      process.exit(1);
+    }
+    unmatched.forEach(input => console.log(chalk.yellow(`⚠️  No test files found for '${input}'`)));
+    passedThrough.forEach(input => console.log(chalk.yellow(`⚠️  '${input}' is not a file or directory, passing it to the package as is`)));
+
+    let inputFiles = filterFailed(resolvedFiles);
+    if (lastFailed) {
+      if (inputFiles.length === 0) {
+        console.log(chalk.green(`✅ None of the test files of --input ${inputs.join(',')} failed in the previous runs`));
+        process.exit(0);
+      }
+      // Plugins that can select single tests use the names, others run the whole files
+      const failedTests = lastFailed.tests.filter(test => inputFiles.includes(test.file));
+      if (failedTests.length > 0) cliParams.lastFailed = failedTests;
+      console.log(chalk.gray(`Re-running ${inputFiles.length} failed test file(s)` +
+        (failedTests.length > 0 ? ` (${failedTests.length} failed test(s))` : '')));
+    }
+
+    // Packages that can't select tests by name or tag get the files whose headers match the filter
+    const filterFiles = files => (testFilter.shouldFilterFiles(localPlugin, cliParams.filter)
+      ? testFilter.filterFiles(files, cliParams.filter)
+      : files);
+    if (testFilter.shouldFilterFiles(localPlugin, cliParams.filter)) {
+      const allFiles = inputFiles;
+      inputFiles = filterFiles(allFiles);
+      if (inputFiles.length === 0) {
+        console.log(chalk.red(`No test files match ${testFilter.describe(cliParams.filter)}`));
+        console.log(chalk.gray(`'${packageName}' doesn't filter tests itself, so tags and --grep are matched against the file path and header`));
+        process.exit(1);
+      }
+      console.log(chalk.gray(`Filtered to ${inputFiles.length} of ${allFiles.length} test file(s) by path and header`));
+    }
+
+    // Every machine of a sharded build expands the same inputs and keeps only its own part
+    if (shard) {
+      const allFiles = inputFiles;
+      inputFiles = sharding.partition(allFiles, shard, shardTimings);
+      // Reports carry the whole file list and the split's fingerprint, so merge-reports can check the shards add up
+      shard = { ...shard, fingerprint: sharding.fingerprint(allFiles, shardTimings), allInputs: allFiles };
+      console.log(chalk.gray(`Shard ${shard.index}/${shard.total}: ${inputFiles.length} of ${allFiles.length} test file(s)`));
+      if (inputFiles.length === 0) {
+        // Still write (empty) reports, so merging the shards finds one per shard
+        const message = `Shard ${shard.index}/${shard.total} has no test files to run`;
+        const report = resultModel.normalize({ success: true, message }, {
+          project: userPackageJson.name,
+          package: packageName,
+          template: templateName,
+          shard
+        });
+        showRunResult(true, message, writeReports(report, reporterNames, options.output));
+        process.exit(0);
+      }
+    }
+    if (program.opts().debug) {
+      console.log(chalk.gray(`Test files: ${inputFiles.join(', ')}`));
+    }
+
+    // Handle server option if provided - the server validates package and template itself
+    const serverUrl = options.server;
+    if (serverUrl) {
+      console.log(chalk.blue(`Using remote server: ${serverUrl}`));
+      remoteClient.setToken(options.token);
+
+      try {
+        const files = await remoteClient.collectProjectFiles(process.cwd());
+        console.log(chalk.gray(`Uploading ${files.length} project file(s)...`));
+
+        // First Ctrl+C cancels the job on the server, a second one exits right away.
+        // Nothing runs locally, so this replaces the default shutdown handler.
+        const abortController = new AbortController();
+        process.removeAllListeners('SIGINT');
+        process.once('SIGINT', () => {
+          console.log(chalk.yellow('\nCancelling remote run...'));
+          abortController.abort();
+        });
+
+        let wasQueued = false;
+        const result = await remoteClient.run(serverUrl, {
+          package: packageName,
+          template: templateName,
+          project: userPackageJson.name,
+          inputFiles,
+          cliParams,
+          files
+        }, {
+          signal: abortController.signal,
+          onQueued: (position, jobId) => {
+            wasQueued = true;
+            console.log(chalk.yellow(`⏳ Job ${jobId} queued (position ${position})`));
+          },
+          onStarted: (jobId) => {
+            if (wasQueued) {
+              console.log(chalk.blue(`▶ Job ${jobId} started`));
+            }
+          },
+          onOutput: (stream, data) => {
+            (stream === 'stderr' ? process.stderr : process.stdout).write(data);
+          }
+        });
+
+        // Servers normalize the plugin result, older ones only send success and message
+        const report = {
+          ...(result.report || resultModel.normalize(result, {
+            project: userPackageJson.name,
+            package: packageName,
+            template: templateName,
+            inputs: inputFiles
+          })),
+          shard
+        };
+        if (!result.cancelled) {
+          resultCache.update(project, report, inputFiles);
+        }
+        // The attachments of a remote run are written on the server, not in this project
+        showRunResult(result.success, result.message, writeReports(report, reporterNames, options.output, { baseDir: null }));
+        if (result.runId) {
+          console.log(chalk.gray(`Run saved on the server as ${result.runId} (zypin history ${result.runId} --server ${serverUrl})`));
+        }
+        process.exit(result.success ? 0 : 1);
+      } catch (error) {
+        console.log('');
+        utils.showServerError('❌ Remote test execution failed', error);
+        process.exit(1);
+      }
+    }
+
     // Validate template exists
     const template = templateScanner.getTemplate(`${packageName}/${templateName}`);
     if (!template) {
@@ -112,20 +477,82 @@ function setupCommands(program) {
       return;
     }
 
-    try {
-      const result = await plugin.interface.run(inputFiles, cliParams);
+    // Save a finished run to the history, write its reports and print the result
+    const completeRun = (files, startedAt, result, errorMessage) => {
+      const record = runHistory.record({
+        source: 'local',
+        project: userPackageJson.name,
+        package: packageName,
+        template: templateName,
+        inputs: files,
+        cliParams,
+        startedAt,
+        result,
+        error: errorMessage,
+        baseDir: process.cwd()
+      });
 
-      if (result.success) {
-        console.log(chalk.green(`\n✅ ${result.message}`));
-        process.exit(0);
-      } else {
-        console.log(chalk.red(`\n❌ ${result.message}`));
-        process.exit(1);
+      const report = resultModel.normalize(result || { success: false, message: errorMessage }, {
+        project: userPackageJson.name,
+        package: packageName,
+        template: templateName,
+        inputs: files,
+        startedAt,
+        duration: Date.now() - startedAt,
+        shard
+      });
+      if (!(result && result.cancelled)) {
+        resultCache.update(project, report, files);
       }
+
+      const message = errorMessage || (result && result.message) || 'No result returned';
+      showRunResult(report.success, message, writeReports(report, reporterNames, options.output));
+      if (record) {
+        console.log(chalk.gray(`Run saved as ${record.id} (zypin history ${record.id})`));
+      }
+      return report;
+    };
+
+    // --parallel splits the files across worker processes unless the package parallelizes itself
+    const writeOutput = (stream, data) => (stream === 'stderr' ? process.stderr : process.stdout).write(data);
+    const runParallel = (files, signal) => workerPool.run({
+      packageName,
+      inputFiles: files,
+      cliParams,
+      durations: resultCache.getDurations(project),
+      onOutput: writeOutput,
+      signal
+    });
+
+    if (options.watch) {
+      // Each run gets a fresh worker process, so changed test files and modules are loaded again
+      await watchMode.startWatchMode({
+        cwd: process.cwd(),
+        resolveInputs: () => filterFiles(filterFailed(resolveInputs().files)),
+        runFiles: async (files, signal) => {
+          const startedAt = new Date();
+          const result = workerPool.shouldSplit(plugin, cliParams, files)
+            ? await runParallel(files, signal)
+            : await testRunner.runInWorker({ packageName, inputFiles: files, cliParams, signal, onOutput: writeOutput });
+          return completeRun(files, startedAt, result, null);
+        }
+      });
+      process.exit(0);
+    }
+
+    const startedAt = new Date();
+    let result = null;
+    let errorMessage = null;
+    try {
+      result = workerPool.shouldSplit(plugin, cliParams, inputFiles)
+        ? await runParallel(inputFiles)
+        : await plugin.interface.run(inputFiles, cliParams);
     } catch (error) {
-      console.log(chalk.red(`\n❌ Test execution failed: ${error.message}`));
-      process.exit(1);
+      errorMessage = `Test execution failed: ${error.message}`;
     }
+
+    completeRun(inputFiles, startedAt, result, errorMessage);
+    process.exit(result && result.success ? 0 : 1);
   });
 
   // Guide command
@@ -15,6 +15,10 @@ const chalk = require('chalk');
 const path = require('path');
 const pluginLoader = require('../core/plugin-loader');
 const templateScanner = require('../core/template-scanner');
+const optionSchema = require('../core/option-schema');
+const configFile = require('../core/config-file');
+const daemon = require('../core/daemon');
+const config = require('../core/config');
 
 // Helper function to get current versions
 async function getCurrentVersions() {
@@ -59,6 +63,70 @@ async function getCurrentVersions() {
   return versions;
 }
 
+// Helper function for repeatable commander options (e.g. --set a=1 --set b=2)
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
+// Helper function to parse --set <package>.<option>=<value> assignments into per-package objects
+function parseSetOptions(assignments = []) {
+  const byPackage = {};
+  const errors = [];
+
+  assignments.forEach(assignment => {
+    const match = assignment.match(/^([^.=\s]+)\.([^=\s]+)=(.*)$/);
+    if (!match) {
+      errors.push(`Invalid --set value '${assignment}' (expected <package>.<option>=<value>)`);
+      return;
+    }
+
+    const [, packageName, option, value] = match;
+    byPackage[packageName] = byPackage[packageName] || {};
+    byPackage[packageName][option] = value;
+  });
+
+  return { byPackage, errors };
+}
+
+// Helper function to show a server request error, with guidance for authentication failures
+function showServerError(action, error) {
+  if (error.status === 401) {
+    console.log(chalk.red(`🔒 ${action}: ${error.message}`));
+    console.log(chalk.gray('Authenticate with --token <token> or set the ZYPIN_TOKEN environment variable'));
+    console.log(chalk.gray('The token is printed on the server by "zypin start --auth"'));
+    return;
+  }
+
+  console.log(chalk.red(`${action}: ${error.message}`));
+}
+
+// Helper function to print what stopping a package terminated and left behind
+function showStopReport(packageName, report = {}) {
+  const terminated = (report.terminated || []).length;
+  const killed = report.killed || [];
+  const leftover = report.leftover || [];
+
+  // Gracefully terminated and force-killed processes are separate lists, each PID is counted once
+  const counts = [`${terminated} process(es) terminated`];
+  if (killed.length > 0) {
+    counts.push(`${killed.length} force-killed`);
+  }
+  console.log(chalk.green(`✓ Stopped ${packageName} (${counts.join(', ')})`));
+  if (killed.length > 0) {
+    console.log(chalk.yellow(`  Force-killed after grace period: PIDs ${killed.join(', ')}`));
+  }
+  if (leftover.length > 0) {
+    console.log(chalk.red(`  Still running: PIDs ${leftover.join(', ')}`));
+  }
+}
+
+// Helper function to color a package health status (or its bullet)
+function formatHealthStatus(status, bullet = false) {
+  const colors = { healthy: chalk.green, degraded: chalk.yellow, down: chalk.red };
+  const color = colors[status] || chalk.gray;
+  return color(bullet ? '●' : (status || 'unknown'));
+}
+
 // Helper function to show start help
 function showStartHelp() {
   console.log(chalk.blue('🚀 Zypin Package Starter'));
@@ -80,12 +148,25 @@ function showStartHelp() {
       if (plugin.hasStart) capabilities.push('start');
       if (plugin.hasRun) capabilities.push('run');
       if (plugin.hasHealth) capabilities.push('health');
+      if (plugin.hasReady) capabilities.push('ready');
 
       console.log(`  ${chalk.green('●')} ${chalk.bold(plugin.name)}`);
       console.log(`    ${chalk.gray(`Capabilities: ${capabilities.join(', ')}`)}`);
       if (plugin.templates.length > 0) {
         console.log(`    ${chalk.gray(`Templates: ${plugin.templates.join(', ')}`)}`);
       }
+      if (plugin.dependencies.length > 0) {
+        console.log(`    ${chalk.gray(`Requires: ${plugin.dependencies.join(', ')} (started first)`)}`);
+      }
+      if (plugin.startOptions) {
+        console.log(`    ${chalk.gray('Start options:')}`);
+        optionSchema.describe(plugin.startOptions).forEach(option => {
+          console.log(`      ${chalk.gray(`${plugin.name}.${option.name} (${option.summary})`)}`);
+          if (option.description) {
+            console.log(`        ${chalk.gray(option.description)}`);
+          }
+        });
+      }
     });
   }
 
@@ -100,6 +181,12 @@ function showStartHelp() {
     if (availablePlugins.length > 1) {
       console.log(chalk.gray(`  zypin start --packages ${firstPackage},${availablePlugins[1].name}`));
     }
+    const pluginWithOptions = availablePlugins.find(plugin => plugin.startOptions);
+    if (pluginWithOptions) {
+      const optionName = Object.keys(pluginWithOptions.startOptions)[0];
+      console.log(chalk.gray(`  zypin start --packages ${pluginWithOptions.name} --set ${pluginWithOptions.name}.${optionName}=<value>`));
+    }
+    console.log(chalk.gray(`  zypin start --packages ${firstPackage} --instance team-a --port ${config.server.port + 1}`));
     console.log('');
   }
 
@@ -107,13 +194,22 @@ function showStartHelp() {
   console.log(chalk.gray('='.repeat(15)));
   console.log(chalk.gray('  --packages <packages>  Comma-separated list of packages to start'));
   console.log(chalk.gray('  --force               Force restart server even if already running'));
+  console.log(chalk.gray('  --detach              Run server and packages in the background'));
+  console.log(chalk.gray('  --set <key=value>     Set a package start option, repeatable (e.g., selenium.port=4445)'));
+  console.log(chalk.gray('  --config <file>       Config file with package start options [default: ./zypin.config.js]'));
+  console.log(chalk.gray(`  --port <port>         Server port (or set ZYPIN_PORT) [default: ${config.server.port}]`));
+  console.log(chalk.gray('  --host <host>         Interface to listen on (or set ZYPIN_HOST) [default: all interfaces]'));
+  console.log(chalk.gray('  --instance <name>     Run a separate named server with its own state (or set ZYPIN_INSTANCE)'));
+  console.log(chalk.gray('  --auth                Require an API token (a random token is generated)'));
+  console.log(chalk.gray('  --token <token>       Require this API token (or set ZYPIN_TOKEN)'));
   console.log('');
 
   console.log(chalk.blue('📚 Next Steps:'));
   console.log(chalk.gray('='.repeat(15)));
   console.log(chalk.gray('  1. Start packages:  zypin start --packages <package>'));
-  console.log(chalk.gray('  2. Check health:    zypin health --server http://localhost:8421'));
+  console.log(chalk.gray('  2. Check health:    zypin health'));
   console.log(chalk.gray('  3. Run tests:       cd <project> && zypin run --input <files>'));
+  console.log(chalk.gray('  4. Stop packages:   zypin stop'));
   console.log('');
 
   console.log(chalk.gray('For more help: zypin --help'));
@@ -224,22 +320,55 @@ function showRunHelp() {
   } else {
     // Show generic examples
     console.log(chalk.gray('  zypin run --input <files>'));
-    console.log(chalk.gray('  zypin run --input <files> --server http://localhost:8421'));
+    console.log(chalk.gray("  zypin run --input 'tests/**/*.spec.js' --exclude tests/legacy"));
+    console.log(chalk.gray('  zypin run --input <files> --watch'));
+    console.log(chalk.gray('  zypin run --last-failed'));
+    console.log(chalk.gray('  zypin run --input tests --grep checkout --tag smoke --exclude-tag slow'));
+    console.log(chalk.gray(`  zypin run --input <files> --server ${daemon.getServerUrl()}`));
+    console.log(chalk.gray('  zypin run --input <files> --reporter junit --reporter console --output reports'));
   }
   console.log('');
 
   console.log(chalk.blue('🔧 Configuration Options:'));
   console.log(chalk.gray('='.repeat(25)));
-  console.log(chalk.gray('  --input <files>        Test files or directories to run (required)'));
-  console.log(chalk.gray('  --server <url>         Zypin server URL (e.g., http://server:8421)'));
+  console.log(chalk.gray('  --input <files>        Test files, directories or glob patterns to run (required)'));
+  console.log(chalk.gray('  --exclude <pattern>    Leave out test files matching a pattern (repeatable)'));
+  console.log(chalk.gray(`  --server <url>         Zypin server URL (e.g., http://server:${config.server.port})`));
+  console.log(chalk.gray('  --token <token>        API token for the server (or set ZYPIN_TOKEN)'));
   console.log(chalk.gray('  --browser <browser>     Browser (chrome, firefox, safari, edge)'));
-  console.log(chalk.gray('  --headless             Run in headless mode'));
+  console.log(chalk.gray('  --headless             Run in headless mode (--no-headless to turn it off)'));
   console.log(chalk.gray('  --timeout <ms>         Test timeout in milliseconds'));
-  console.log(chalk.gray('  --parallel <number>    Number of parallel executions'));
+  console.log(chalk.gray('  --parallel <number>    Number of parallel worker processes'));
+  console.log(chalk.gray('  --bail                 Stop the other workers after the first failure'));
   console.log(chalk.gray('  --retries <number>     Number of retries for failed tests'));
   console.log(chalk.gray('  --window-size <size>   Browser window size (WIDTHxHEIGHT)'));
+  console.log(chalk.gray('  --reporter <name>      Reporter: console, junit, json, tap, html (repeatable) [default: console]'));
+  console.log(chalk.gray('  --output <dir>         Directory for report files [default: zypin-reports]'));
+  console.log(chalk.gray('  --watch                Re-run affected tests when files change (a: all, f: failed, q: quit)'));
+  console.log(chalk.gray('  --last-failed          Only re-run the tests that failed the last time they ran'));
+  console.log(chalk.gray('  --shard <i/n>          Only run shard i of n (e.g., 2/4)'));
+  console.log(chalk.gray('  --shard-timings <file> Balance shards by a timing file or an earlier JSON report'));
+  console.log(chalk.gray('  --grep <pattern>       Only run tests whose title matches a regular expression'));
+  console.log(chalk.gray('  --tag <tag>            Only run tests with one of these tags (repeatable)'));
+  console.log(chalk.gray('  --exclude-tag <tag>    Leave out tests with any of these tags (repeatable)'));
+  console.log(chalk.gray('  --profile <name>       Run profile from zypin.config.js'));
+  console.log(chalk.gray('  --config <file>        Config file with run defaults and profiles [default: ./zypin.config.js]'));
   console.log('');
 
+  // Profiles are only listed when the config file loads, a broken one is reported by `zypin run`
+  let profileNames = [];
+  try {
+    profileNames = configFile.getProfileNames(configFile.load());
+  } catch (error) {
+    // Ignore
+  }
+  if (profileNames.length > 0) {
+    console.log(chalk.blue('🗂  Profiles:'));
+    console.log(chalk.gray('='.repeat(15)));
+    console.log(chalk.gray(`  ${profileNames.join(', ')} (zypin run --input <files> --profile ${profileNames[0]})`));
+    console.log('');
+  }
+
   console.log(chalk.blue('📚 Next Steps:'));
   console.log(chalk.gray('='.repeat(15)));
   
@@ -304,33 +433,276 @@ function showMcpHelp() {
 function showHealthHelp() {
   console.log(chalk.blue('🏥 Zypin Health Checker'));
   console.log(chalk.gray('='.repeat(30)));
-  console.log(chalk.gray('Check health status of running packages on remote server'));
+  console.log(chalk.gray('Check health status of running packages on a local or remote server'));
   console.log('');
 
   console.log(chalk.blue('💡 Usage Examples:'));
   console.log(chalk.gray('='.repeat(20)));
-  console.log(chalk.gray('  zypin health --server http://localhost:8421'));
-  console.log(chalk.gray('  zypin health --server http://remote-server:8421'));
-  console.log(chalk.gray('  zypin health --server http://192.168.1.100:8421'));
+  console.log(chalk.gray('  zypin health'));
+  console.log(chalk.gray(`  zypin health --server http://remote-server:${config.server.port}`));
+  console.log(chalk.gray(`  zypin health --server http://192.168.1.100:${config.server.port}`));
   console.log('');
 
   console.log(chalk.blue('🔧 Options:'));
   console.log(chalk.gray('='.repeat(15)));
-  console.log(chalk.gray('  --server <url>        Zypin server URL (required)'));
+  console.log(chalk.gray(`  --server <url>        Zypin server URL [default: ${daemon.getServerUrl()}]`));
+  console.log(chalk.gray('  --token <token>       API token for the server (or set ZYPIN_TOKEN)'));
   console.log(chalk.gray('  --debug               Enable debug mode'));
   console.log('');
 
   console.log(chalk.blue('📚 Next Steps:'));
   console.log(chalk.gray('='.repeat(15)));
   console.log(chalk.gray('  1. Start server:    zypin start --packages <package>'));
-  console.log(chalk.gray('  2. Check health:    zypin health --server http://localhost:8421'));
+  console.log(chalk.gray('  2. Check health:    zypin health'));
   console.log('');
 
   console.log(chalk.blue('🔍 What it shows:'));
   console.log(chalk.gray('='.repeat(20)));
   console.log(chalk.gray('  • Number of running packages'));
   console.log(chalk.gray('  • Package names and PIDs'));
-  console.log(chalk.gray('  • Start times and status'));
+  console.log(chalk.gray('  • Start times and status (healthy, degraded, down)'));
+  console.log(chalk.gray('  • Details reported by each package\'s health check'));
+  console.log(chalk.gray('  • Automatic restart counts and last exit codes'));
+  console.log('');
+
+  console.log(chalk.blue('🚦 Exit Codes:'));
+  console.log(chalk.gray('='.repeat(20)));
+  console.log(chalk.gray('  0  All packages healthy'));
+  console.log(chalk.gray('  1  Server unreachable or any package degraded/down'));
+  console.log('');
+
+  console.log(chalk.gray('For more help: zypin --help'));
+}
+
+// Helper function to show stop help
+function showStopHelp() {
+  console.log(chalk.blue('🛑 Zypin Package Stopper'));
+  console.log(chalk.gray('='.repeat(30)));
+  console.log(chalk.gray('Stop running packages, or all packages and the server'));
+  console.log(chalk.gray('Child processes are stopped too; anything still running after'));
+  console.log(chalk.gray('ZYPIN_SHUTDOWN_GRACE_PERIOD ms (default: 10000) is killed'));
+  console.log('');
+
+  console.log(chalk.blue('💡 Usage Examples:'));
+  console.log(chalk.gray('='.repeat(20)));
+  console.log(chalk.gray('  zypin stop'));
+  console.log(chalk.gray('  zypin stop --packages selenium'));
+  console.log(chalk.gray(`  zypin stop --packages selenium --server http://remote-server:${config.server.port}`));
+  console.log('');
+
+  console.log(chalk.blue('🔧 Options:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  --packages <packages>  Comma-separated list of packages to stop'));
+  console.log(chalk.gray('                         (default: all packages and the server)'));
+  console.log(chalk.gray(`  --server <url>         Zypin server URL [default: ${daemon.getServerUrl()}]`));
+  console.log(chalk.gray('  --token <token>        API token for the server (or set ZYPIN_TOKEN)'));
+  console.log('');
+
+  console.log(chalk.blue('📚 Next Steps:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  1. Check health:    zypin health'));
+  console.log(chalk.gray('  2. Start again:     zypin start --packages <package>'));
+  console.log('');
+
+  console.log(chalk.gray('For more help: zypin --help'));
+}
+
+// Helper function to show restart help
+function showRestartHelp() {
+  console.log(chalk.blue('🔄 Zypin Package Restarter'));
+  console.log(chalk.gray('='.repeat(30)));
+  console.log(chalk.gray('Restart packages running on a Zypin server'));
+  console.log('');
+
+  console.log(chalk.blue('💡 Usage Examples:'));
+  console.log(chalk.gray('='.repeat(20)));
+  console.log(chalk.gray('  zypin restart'));
+  console.log(chalk.gray('  zypin restart --packages selenium'));
+  console.log(chalk.gray(`  zypin restart --packages selenium --server http://remote-server:${config.server.port}`));
+  console.log('');
+
+  console.log(chalk.blue('🔧 Options:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  --packages <packages>  Comma-separated list of packages to restart'));
+  console.log(chalk.gray('                         (default: all running packages)'));
+  console.log(chalk.gray(`  --server <url>         Zypin server URL [default: ${daemon.getServerUrl()}]`));
+  console.log(chalk.gray('  --token <token>        API token for the server (or set ZYPIN_TOKEN)'));
+  console.log('');
+
+  console.log(chalk.blue('📚 Next Steps:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  1. Check health:    zypin health'));
+  console.log('');
+
+  console.log(chalk.gray('For more help: zypin --help'));
+}
+
+// Helper function to show server help
+function showServerHelp() {
+  console.log(chalk.blue('🖥️  Zypin Server Manager'));
+  console.log(chalk.gray('='.repeat(30)));
+  console.log(chalk.gray('Manage the Zypin server started with "zypin start"'));
+  console.log('');
+
+  console.log(chalk.blue('💡 Usage Examples:'));
+  console.log(chalk.gray('='.repeat(20)));
+  console.log(chalk.gray('  zypin server status'));
+  console.log(chalk.gray('  zypin server stop'));
+  console.log(chalk.gray('  zypin server logs --lines 100'));
+  console.log(chalk.gray('  zypin server logs --follow'));
+  console.log(chalk.gray('  zypin server list'));
+  console.log(chalk.gray('  zypin --instance team-a server status'));
+  console.log('');
+
+  console.log(chalk.blue('📋 Actions:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  status                 Show PID, port, uptime and API status'));
+  console.log(chalk.gray('  stop                   Stop the server and all its packages'));
+  console.log(chalk.gray('  logs                   Show the background server log'));
+  console.log(chalk.gray('  list                   List running servers of all instances'));
+  console.log('');
+
+  console.log(chalk.blue('🔧 Options:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  --follow               Keep printing new log lines (logs only)'));
+  console.log(chalk.gray('  --lines <number>       Number of log lines to show [default: 50]'));
+  console.log(chalk.gray('  --instance <name>      Server instance to manage (or set ZYPIN_INSTANCE)'));
+  console.log('');
+
+  console.log(chalk.blue('📚 Next Steps:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  1. Start in background: zypin start --packages <package> --detach'));
+  console.log(chalk.gray('  2. Check status:        zypin server status'));
+  console.log('');
+
+  console.log(chalk.gray('For more help: zypin --help'));
+}
+
+// Helper function to show logs help
+function showLogsHelp() {
+  console.log(chalk.blue('📜 Zypin Package Logs'));
+  console.log(chalk.gray('='.repeat(30)));
+  console.log(chalk.gray('Show captured stdout/stderr of packages started by "zypin start"'));
+  console.log('');
+
+  console.log(chalk.blue('💡 Usage Examples:'));
+  console.log(chalk.gray('='.repeat(20)));
+  console.log(chalk.gray('  zypin logs selenium'));
+  console.log(chalk.gray('  zypin logs selenium --follow'));
+  console.log(chalk.gray(`  zypin logs selenium --lines 500 --server http://remote-server:${config.server.port}`));
+  console.log('');
+
+  console.log(chalk.blue('🔧 Options:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  --follow               Keep printing new log output'));
+  console.log(chalk.gray('  --lines <number>       Number of log lines to show [default: 100]'));
+  console.log(chalk.gray(`  --server <url>         Zypin server URL [default: ${daemon.getServerUrl()}]`));
+  console.log(chalk.gray('  --token <token>        API token for the server (or set ZYPIN_TOKEN)'));
+  console.log('');
+
+  console.log(chalk.blue('📚 Next Steps:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  1. Check health:    zypin health'));
+  console.log(chalk.gray('  2. Restart package: zypin restart --packages <package>'));
+  console.log('');
+
+  console.log(chalk.gray('For more help: zypin --help'));
+}
+
+// Helper function to show history help
+function showHistoryHelp() {
+  console.log(chalk.blue('📜 Zypin Run History'));
+  console.log(chalk.gray('='.repeat(30)));
+  console.log(chalk.gray('Show saved test runs - every local and server run is recorded'));
+  console.log('');
+
+  console.log(chalk.blue('💡 Usage Examples:'));
+  console.log(chalk.gray('='.repeat(20)));
+  console.log(chalk.gray('  zypin history'));
+  console.log(chalk.gray('  zypin history --result failed --since 7d'));
+  console.log(chalk.gray('  zypin history --package selenium --project my-tests --limit 50'));
+  console.log(chalk.gray('  zypin history <run-id>'));
+  console.log(chalk.gray(`  zypin history --server http://remote-server:${config.server.port}`));
+  console.log('');
+
+  console.log(chalk.blue('🔧 Options:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  --package <name>       Only runs of this package'));
+  console.log(chalk.gray('  --template <name>      Only runs of this template'));
+  console.log(chalk.gray('  --project <name>       Only runs of this project'));
+  console.log(chalk.gray('  --all-projects         Inside a project, list the runs of every project'));
+  console.log(chalk.gray('  --result <result>      Only runs with this result (passed, failed, cancelled, error)'));
+  console.log(chalk.gray('  --since <time>         Only runs since a date or duration ago (e.g. 2026-01-31, 12h, 7d)'));
+  console.log(chalk.gray('  --limit <number>       Maximum number of runs to list [default: 20]'));
+  console.log(chalk.gray('  --json                 Print JSON instead of text'));
+  console.log(chalk.gray('  --server <url>         Read the history of a Zypin server'));
+  console.log(chalk.gray('  --token <token>        API token for the server (or set ZYPIN_TOKEN)'));
+  console.log('');
+
+  console.log(chalk.blue('📚 Next Steps:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  1. Run tests:        zypin run --input <files>'));
+  console.log(chalk.gray(`  2. Change retention: ZYPIN_HISTORY_MAX_RUNS (default ${config.history.maxRuns}), ZYPIN_HISTORY_MAX_AGE_DAYS (default ${config.history.maxAgeDays})`));
+  console.log('');
+
+  console.log(chalk.gray('For more help: zypin --help'));
+}
+
+// Helper function to show report help
+function showReportHelp() {
+  console.log(chalk.blue('📊 Zypin Test Reports'));
+  console.log(chalk.gray('='.repeat(30)));
+  console.log(chalk.gray('Write reports for a saved test run (see "zypin history")'));
+  console.log('');
+
+  console.log(chalk.blue('💡 Usage Examples:'));
+  console.log(chalk.gray('='.repeat(20)));
+  console.log(chalk.gray('  zypin report <run-id>'));
+  console.log(chalk.gray('  zypin report <run-id> --reporter html --reporter junit --output reports'));
+  console.log(chalk.gray(`  zypin report <run-id> --server http://remote-server:${config.server.port}`));
+  console.log('');
+
+  console.log(chalk.blue('🔧 Options:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  --reporter <name>      Reporter: html, junit, json, tap, console (repeatable) [default: html]'));
+  console.log(chalk.gray('  --output <dir>         Directory for report files [default: zypin-reports]'));
+  console.log(chalk.gray('  --server <url>         Read the run from a Zypin server'));
+  console.log(chalk.gray('  --token <token>        API token for the server (or set ZYPIN_TOKEN)'));
+  console.log('');
+
+  console.log(chalk.blue('📚 Next Steps:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  1. Find a run:       zypin history --result failed'));
+  console.log(chalk.gray('  2. Report on a run:  zypin run --input <files> --reporter html'));
+  console.log('');
+
+  console.log(chalk.gray('For more help: zypin --help'));
+}
+
+// Helper function to show merge-reports help
+function showMergeReportsHelp() {
+  console.log(chalk.blue('🧩 Zypin Report Merging'));
+  console.log(chalk.gray('='.repeat(30)));
+  console.log(chalk.gray('Merge JSON reports of sharded runs (zypin run --shard i/n --reporter json) into one report'));
+  console.log('');
+
+  console.log(chalk.blue('💡 Usage Examples:'));
+  console.log(chalk.gray('='.repeat(20)));
+  console.log(chalk.gray('  zypin merge-reports shard-1/results.json shard-2/results.json'));
+  console.log(chalk.gray('  zypin merge-reports shard-* --reporter html --reporter junit --output merged'));
+  console.log('');
+
+  console.log(chalk.blue('🔧 Options:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  <reports...>           JSON report files, or directories containing results.json'));
+  console.log(chalk.gray('  --reporter <name>      Reporter: json, html, junit, tap, console (repeatable) [default: json]'));
+  console.log(chalk.gray('  --output <dir>         Directory for report files, never one of the inputs [default: zypin-reports/merged]'));
+  console.log('');
+
+  console.log(chalk.blue('📚 Next Steps:'));
+  console.log(chalk.gray('='.repeat(15)));
+  console.log(chalk.gray('  1. Run each shard:   zypin run --input <files> --shard 1/4 --reporter json --output shard-1'));
+  console.log(chalk.gray('  2. Merge the shards: zypin merge-reports shard-* --reporter html'));
   console.log('');
 
   console.log(chalk.gray('For more help: zypin --help'));
@@ -363,10 +735,22 @@ function showGuideHelp() {
 
 module.exports = {
   getCurrentVersions,
+  collectOption,
+  parseSetOptions,
+  showServerError,
+  formatHealthStatus,
+  showStopReport,
   showStartHelp,
   showCreateProjectHelp,
   showRunHelp,
   showMcpHelp,
   showHealthHelp,
+  showStopHelp,
+  showRestartHelp,
+  showServerHelp,
+  showLogsHelp,
+  showHistoryHelp,
+  showReportHelp,
+  showMergeReportsHelp,
   showGuideHelp
 };
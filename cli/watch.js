@@ -0,0 +1,159 @@
+/**
+ * Watch mode for Zypin Testing Framework
+ * Keeps `zypin run --watch` alive and re-runs affected test files when the project changes
+ *
+ * TODO:
+ * - Re-run changed test files and the test files that import changed files
+ * - Re-run everything when a file no test imports changes (step definitions, support files)
+ * - Keyboard shortcuts: a = run all, f = run failed, q = quit
+ * - Queue changes that arrive while a run is in progress
+ */
+
+const chalk = require('chalk');
+const readline = require('readline');
+const testWatcher = require('../core/test-watcher');
+
+// Helper function to get the test files that failed in a run (all of them when the package has no per-test details)
+function getFailedFiles(report, files) {
+  if (report.success) {
+    return [];
+  }
+  if (!report.hasTests) {
+    return files;
+  }
+
+  const failed = new Set();
+  report.suites.forEach(suite => suite.tests
+    .filter(test => test.status === 'failed')
+    .forEach(test => failed.add(test.file || suite.file)));
+
+  // Failures without a file can't be narrowed down
+  if (failed.has(null) || failed.has(undefined)) {
+    return files;
+  }
+  return files.filter(file => failed.has(file));
+}
+
+function showWatchHint(interactive) {
+  if (interactive) {
+    console.log(chalk.gray('\n👀 Watching for changes... press a to run all, f to run failed, q to quit'));
+  } else {
+    console.log(chalk.gray('\n👀 Watching for changes... press Ctrl+C to quit'));
+  }
+}
+
+/**
+ * Run tests and keep re-running them as files change, until the user quits
+ * @param {Object} options - Watch options
+ * @param {string} options.cwd - Project directory to watch
+ * @param {Function} options.resolveInputs - Returns the current test files (relative to cwd)
+ * @param {Function} options.runFiles - Async function receiving (files, signal) that runs tests, prints the result and returns the report
+ * @returns {Promise<void>} Resolves when the user quits
+ */
+function startWatchMode({ cwd, resolveInputs, runFiles }) {
+  const interactive = process.stdin.isTTY;
+  const failedFiles = new Set();
+
+  let running = null;
+  let pending = null;
+  let quitting = false;
+
+  return new Promise((resolve) => {
+    const run = async (files, reason) => {
+      if (files.length === 0) {
+        console.log(chalk.yellow('No test files to run'));
+        showWatchHint(interactive);
+        return;
+      }
+      if (running) {
+        // Merge with whatever is already waiting, it runs once the current run is done
+        pending = { files: Array.from(new Set([...(pending ? pending.files : []), ...files])).sort(), reason };
+        console.log(chalk.gray(`Changes queued until the current run finishes (${reason})`));
+        return;
+      }
+
+      console.log(chalk.blue(`\n▶ Running ${files.length} test file(s) (${reason})`));
+      running = new AbortController();
+      try {
+        const report = await runFiles(files, running.signal);
+        files.forEach(file => failedFiles.delete(file));
+        getFailedFiles(report, files).forEach(file => failedFiles.add(file));
+      } catch (error) {
+        console.log(chalk.red(`Test run failed: ${error.message}`));
+      } finally {
+        running = null;
+      }
+
+      if (quitting) {
+        return;
+      }
+      if (pending) {
+        const next = pending;
+        pending = null;
+        await run(next.files, next.reason);
+        return;
+      }
+      showWatchHint(interactive);
+    };
+
+    const runAll = reason => run(resolveInputs(), reason);
+
+    const runFailed = () => {
+      const files = resolveInputs().filter(file => failedFiles.has(file));
+      if (files.length === 0) {
+        console.log(chalk.green('No failed test files to re-run'));
+        return;
+      }
+      run(files, 'failed tests');
+    };
+
+    const quit = () => {
+      if (quitting) return;
+      quitting = true;
+      testWatcher.stop();
+      if (interactive) {
+        process.stdin.setRawMode(false);
+        process.stdin.pause();
+      }
+      if (running) {
+        console.log(chalk.yellow('\nCancelling the current run...'));
+        running.abort();
+      }
+      console.log(chalk.gray('Stopped watching'));
+      resolve();
+    };
+
+    testWatcher.start(cwd, (changedFiles) => {
+      const testFiles = resolveInputs();
+      const { tests, all } = testWatcher.getAffected(changedFiles, testFiles, cwd);
+      if (all) {
+        run(testFiles, 'source files changed');
+      } else if (tests.length > 0) {
+        run(tests, `${changedFiles.length} file(s) changed`);
+      }
+    });
+
+    if (interactive) {
+      readline.emitKeypressEvents(process.stdin);
+      process.stdin.setRawMode(true);
+      process.stdin.on('keypress', (text, key = {}) => {
+        if (key.name === 'q' || (key.ctrl && key.name === 'c')) {
+          quit();
+        } else if (key.name === 'a') {
+          runAll('all tests');
+        } else if (key.name === 'f') {
+          runFailed();
+        }
+      });
+    } else {
+      process.removeAllListeners('SIGINT');
+      process.once('SIGINT', quit);
+    }
+
+    runAll('initial run');
+  });
+}
+
+module.exports = {
+  startWatchMode
+};
@@ -0,0 +1,105 @@
+/**
+ * Token authentication for Zypin Framework
+ * Generates, verifies and locates bearer tokens for the Zypin HTTP server
+ *
+ * TODO:
+ * - Generate random API tokens for `zypin start`
+ * - Verify bearer tokens with constant-time comparison
+ * - Share the local server token with CLI commands on the same machine
+ * - Resolve client tokens from --token, ZYPIN_TOKEN or the local token file
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const config = require('./config');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+class Auth {
+  generateToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  // Helper method to extract the token from an Authorization header
+  parseBearer(header) {
+    if (!header || typeof header !== 'string') {
+      return null;
+    }
+
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+  }
+
+  verifyToken(expected, provided) {
+    if (!expected || !provided) {
+      return false;
+    }
+
+    const expectedBuffer = Buffer.from(expected);
+    const providedBuffer = Buffer.from(provided);
+    if (expectedBuffer.length !== providedBuffer.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+  }
+
+  // Store the server token so local CLI commands can authenticate without --token
+  saveLocalToken(token) {
+    try {
+      fs.ensureDirSync(config.stateDir, { mode: 0o700 });
+      fs.writeFileSync(config.tokenFile, token, { mode: 0o600 });
+    } catch (error) {
+      // Local commands will need --token if the file can't be written
+    }
+  }
+
+  readLocalToken() {
+    try {
+      return fs.readFileSync(config.tokenFile, 'utf8').trim() || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  clearLocalToken() {
+    try {
+      fs.removeSync(config.tokenFile);
+    } catch (error) {
+      // Ignore errors, a stale token file is ignored by a server without auth
+    }
+  }
+
+  isLocalServer(serverUrl) {
+    try {
+      return LOCAL_HOSTS.includes(new URL(serverUrl).hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve the token a CLI command should send to a server
+   * @param {string} serverUrl - Zypin server URL
+   * @param {string} explicitToken - Token passed with --token
+   * @returns {string|null} Token or null when none is configured
+   */
+  resolveClientToken(serverUrl, explicitToken) {
+    if (explicitToken) {
+      return explicitToken;
+    }
+
+    if (process.env.ZYPIN_TOKEN) {
+      return process.env.ZYPIN_TOKEN;
+    }
+
+    // Never send the local token to a remote host
+    if (this.isLocalServer(serverUrl)) {
+      return this.readLocalToken();
+    }
+
+    return null;
+  }
+}
+
+module.exports = new Auth();
@@ -0,0 +1,90 @@
+/**
+ * Config file loading for Zypin Framework
+ * Loads zypin.config.js / zypin.config.json with per-package settings
+ *
+ * TODO:
+ * - Find the config file in the current directory or use an explicit path
+ * - Load JavaScript and JSON config files
+ * - Provide per-package start options and run concurrency
+ * - Provide project run defaults and named run profiles
+ * - Report missing or broken config files clearly
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const CONFIG_FILES = ['zypin.config.js', 'zypin.config.json'];
+
+class ConfigFile {
+  find(dir = process.cwd()) {
+    for (const fileName of CONFIG_FILES) {
+      const configPath = path.join(dir, fileName);
+      if (fs.existsSync(configPath)) {
+        return configPath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Load a config file
+   * @param {string} explicitPath - Path from --config (optional, defaults to lookup in cwd)
+   * @returns {Object} Config object ({} when no config file exists)
+   */
+  load(explicitPath) {
+    const configPath = explicitPath ? path.resolve(explicitPath) : this.find();
+
+    if (!configPath) {
+      return {};
+    }
+
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+
+    try {
+      if (configPath.endsWith('.json')) {
+        return fs.readJsonSync(configPath);
+      }
+
+      // Always read the current file contents (watch mode and tests reload it)
+      delete require.cache[require.resolve(configPath)];
+      const loaded = require(configPath);
+      return loaded && typeof loaded === 'object' ? loaded : {};
+    } catch (error) {
+      throw new Error(`Failed to load config file ${configPath}: ${error.message}`);
+    }
+  }
+
+  // Map of package name to `packages.<name>.concurrency` for packages that set it
+  getPackageConcurrency(fileConfig) {
+    const concurrency = {};
+    Object.entries(fileConfig.packages || {}).forEach(([packageName, settings]) => {
+      if (settings && settings.concurrency !== undefined) {
+        concurrency[packageName] = settings.concurrency;
+      }
+    });
+    return concurrency;
+  }
+
+  getPackageStartOptions(fileConfig, packageName) {
+    return (fileConfig.packages && fileConfig.packages[packageName] && fileConfig.packages[packageName].start) || {};
+  }
+
+  // Run settings every `zypin run` starts from (`run` section)
+  getRunDefaults(fileConfig) {
+    return fileConfig.run || {};
+  }
+
+  getProfileNames(fileConfig) {
+    return Object.keys(fileConfig.profiles || {});
+  }
+
+  // Run settings of a named profile (`profiles.<name>`), or null when the profile doesn't exist
+  getProfile(fileConfig, profileName) {
+    const profiles = fileConfig.profiles || {};
+    return Object.prototype.hasOwnProperty.call(profiles, profileName) ? (profiles[profileName] || {}) : null;
+  }
+}
+
+module.exports = new ConfigFile();
@@ -8,10 +8,25 @@
  * - Add template scanning configuration
  * - Support both global and local node_modules scanning
  * - Add plugin installation configuration
+ * - Keep runtime state in a per-user directory (ZYPIN_STATE_DIR, XDG_STATE_HOME or ~/.zypin)
+ * - Support named server instances with separate state and configurable host/port
  */
 
+const os = require('os');
 const path = require('path');
 
+// Named server instance (`--instance` / ZYPIN_INSTANCE) - several can run on one machine
+const instance = process.env.ZYPIN_INSTANCE || 'default';
+
+// Per-user directory for runtime state (process state, server pidfile, token, logs).
+// Kept out of the install directory, which is not writable for non-root users of a global install.
+const baseStateDir = process.env.ZYPIN_STATE_DIR || (process.env.XDG_STATE_HOME
+  ? path.join(process.env.XDG_STATE_HOME, 'zypin')
+  : path.join(os.homedir(), '.zypin'));
+
+// Every instance other than the default one keeps its state in its own directory
+const stateDir = instance === 'default' ? baseStateDir : path.join(baseStateDir, 'instances', instance);
+
 // Default framework configuration
 const defaultConfig = {
   // Plugin discovery paths (scan local node_modules)
@@ -21,10 +36,105 @@ const defaultConfig = {
   ],
   logLevel: 'info',
   timeout: 30000,
+  instance,
+  baseStateDir,
+  stateDir,
+  // Zypin server (`zypin start`), overridden by --port/--host and zypin.config.js `server`
+  server: {
+    port: 8421,
+    host: null // All interfaces
+  },
+  // Token shared with local CLI commands when the server requires authentication
+  tokenFile: path.join(stateDir, 'token'),
+  // Tracked package processes, shared by all zypin invocations of this user
+  state: {
+    file: path.join(stateDir, 'processes.json'),
+    lockFile: path.join(stateDir, 'processes.lock'),
+    lockTimeout: 5000,
+    // Locks older than this are left behind by crashed invocations
+    staleLockAfter: 30000
+  },
   // Plugin configuration
   plugins: {
     autoInstall: true,
     showInstallInstructions: true
+  },
+  // Background server (`zypin start --detach`) configuration
+  daemon: {
+    pidFile: path.join(stateDir, 'server.pid'),
+    logFile: path.join(stateDir, 'server.log'),
+    startTimeout: 60000,
+    // Longer than the package shutdown grace period so packages can stop cleanly first
+    stopTimeout: 20000
+  },
+  // Package shutdown: plugin stop() hook, SIGTERM, then SIGKILL after the grace period
+  shutdown: {
+    gracePeriod: 10000,
+    killTimeout: 2000
+  },
+  // Saved test runs (`zypin history`, GET /api/runs) - 0 disables a limit
+  history: {
+    dir: path.join(stateDir, 'history'),
+    maxRuns: 500,
+    maxAgeDays: 30
+  },
+  // Latest per-test results of each project (`zypin run --last-failed`)
+  results: {
+    dir: path.join(stateDir, 'results')
+  },
+  // Remote run queue: runs beyond a package's concurrency limit wait for a free slot
+  jobs: {
+    concurrency: 1,
+    maxQueued: 100,
+    // Finished jobs (and their output) kept for GET /api/jobs/:id
+    keepFinished: 100,
+    // Output kept per job for clients that attach later, the oldest output is dropped beyond this
+    maxOutputBytes: 256 * 1024
+  },
+  // Built-in web dashboard served at /dashboard
+  dashboard: {
+    enabled: true
+  },
+  // Prometheus metrics endpoint on the Zypin server (opt-in)
+  metrics: {
+    enabled: false,
+    path: '/metrics'
+  },
+  // Package health checks (`zypin health`)
+  health: {
+    timeout: 5000
+  },
+  // Readiness waiting during `zypin start` (plugins can override readyTimeout)
+  startup: {
+    readyTimeout: 60000,
+    readyInterval: 500
+  },
+  // Crash supervision for started packages
+  supervisor: {
+    restartPolicy: 'on-failure', // never | on-failure | always
+    maxRestarts: 5,
+    // Restart count resets once a package stays up this long (ms)
+    resetAfter: 60000,
+    backoff: {
+      initialDelay: 1000,
+      maxDelay: 30000,
+      multiplier: 2
+    }
+  },
+  // Package log capture (`zypin logs`)
+  logs: {
+    dir: path.join(stateDir, 'logs'),
+    maxSize: 10 * 1024 * 1024,
+    maxFiles: 5
+  },
+  // Remote run configuration (project upload for `zypin run --server`)
+  remote: {
+    maxUploadSize: 50 * 1024 * 1024,
+    ignore: ['node_modules', '.git']
+  },
+  // Watch mode (`zypin run --watch`): wait this long after the last change before re-running
+  watch: {
+    debounce: 300
   }
 };
 
@@ -33,9 +143,73 @@ const config = {
   ...defaultConfig,
   logLevel: process.env.ZYPIN_LOG_LEVEL || defaultConfig.logLevel,
   timeout: parseInt(process.env.ZYPIN_TIMEOUT) || defaultConfig.timeout,
+  server: {
+    port: parseInt(process.env.ZYPIN_PORT) || defaultConfig.server.port,
+    host: process.env.ZYPIN_HOST || defaultConfig.server.host
+  },
   plugins: {
     ...defaultConfig.plugins,
     autoInstall: process.env.ZYPIN_AUTO_INSTALL !== 'false'
+  },
+  history: {
+    ...defaultConfig.history,
+    maxRuns: process.env.ZYPIN_HISTORY_MAX_RUNS !== undefined
+      ? parseInt(process.env.ZYPIN_HISTORY_MAX_RUNS)
+      : defaultConfig.history.maxRuns,
+    maxAgeDays: process.env.ZYPIN_HISTORY_MAX_AGE_DAYS !== undefined
+      ? parseInt(process.env.ZYPIN_HISTORY_MAX_AGE_DAYS)
+      : defaultConfig.history.maxAgeDays
+  },
+  jobs: {
+    ...defaultConfig.jobs,
+    concurrency: parseInt(process.env.ZYPIN_JOB_CONCURRENCY) || defaultConfig.jobs.concurrency,
+    maxOutputBytes: parseInt(process.env.ZYPIN_JOB_MAX_OUTPUT_BYTES) || defaultConfig.jobs.maxOutputBytes
+  },
+  dashboard: {
+    ...defaultConfig.dashboard,
+    enabled: process.env.ZYPIN_DASHBOARD !== 'false'
+  },
+  metrics: {
+    ...defaultConfig.metrics,
+    enabled: process.env.ZYPIN_METRICS !== undefined
+      ? process.env.ZYPIN_METRICS === 'true'
+      : defaultConfig.metrics.enabled
+  },
+  health: {
+    ...defaultConfig.health,
+    timeout: parseInt(process.env.ZYPIN_HEALTH_TIMEOUT) || defaultConfig.health.timeout
+  },
+  shutdown: {
+    ...defaultConfig.shutdown,
+    gracePeriod: process.env.ZYPIN_SHUTDOWN_GRACE_PERIOD !== undefined
+      ? parseInt(process.env.ZYPIN_SHUTDOWN_GRACE_PERIOD)
+      : defaultConfig.shutdown.gracePeriod
+  },
+  startup: {
+    ...defaultConfig.startup,
+    readyTimeout: parseInt(process.env.ZYPIN_READY_TIMEOUT) || defaultConfig.startup.readyTimeout
+  },
+  supervisor: {
+    ...defaultConfig.supervisor,
+    restartPolicy: process.env.ZYPIN_RESTART_POLICY || defaultConfig.supervisor.restartPolicy,
+    maxRestarts: process.env.ZYPIN_MAX_RESTARTS !== undefined
+      ? parseInt(process.env.ZYPIN_MAX_RESTARTS)
+      : defaultConfig.supervisor.maxRestarts
+  },
+  logs: {
+    ...defaultConfig.logs,
+    maxSize: parseInt(process.env.ZYPIN_LOG_MAX_SIZE) || defaultConfig.logs.maxSize,
+    maxFiles: parseInt(process.env.ZYPIN_LOG_MAX_FILES) || defaultConfig.logs.maxFiles
+  },
+  remote: {
+    ...defaultConfig.remote,
+    maxUploadSize: parseInt(process.env.ZYPIN_MAX_UPLOAD_SIZE) || defaultConfig.remote.maxUploadSize
+  },
+  watch: {
+    ...defaultConfig.watch,
+    debounce: process.env.ZYPIN_WATCH_DEBOUNCE !== undefined
+      ? parseInt(process.env.ZYPIN_WATCH_DEBOUNCE)
+      : defaultConfig.watch.debounce
   }
 };
 
@@ -0,0 +1,238 @@
+/**
+ * Server daemon management for Zypin Framework
+ * Runs the Zypin server in the background and tracks it with a pidfile
+ *
+ * TODO:
+ * - Fork `zypin start` into a detached background process
+ * - Write and remove the server pidfile
+ * - Report server status from the pidfile instead of probing ports
+ * - Stop the server gracefully, escalating to signals when needed
+ * - Expose the daemon log file for `zypin server logs`
+ * - Resolve the local server URL of the current instance
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const remoteClient = require('./remote-client');
+
+const POLL_INTERVAL = 500;
+
+class Daemon {
+  constructor() {
+    this.binPath = path.join(__dirname, '..', 'bin', 'zypin');
+  }
+
+  readPidFile() {
+    try {
+      return fs.readJsonSync(config.daemon.pidFile);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  writePidFile(info) {
+    try {
+      fs.ensureDirSync(config.stateDir, { mode: 0o700 });
+      fs.writeJsonSync(config.daemon.pidFile, info, { spaces: 2 });
+    } catch (error) {
+      // Server lifecycle commands fall back to the HTTP API without a pidfile
+    }
+  }
+
+  removePidFile(pid = process.pid) {
+    // Only remove the pidfile if it still belongs to this process
+    const info = this.readPidFile();
+    if (info && info.pid === pid) {
+      fs.removeSync(config.daemon.pidFile);
+    }
+  }
+
+  // Helper method to build a URL for local clients (all-interfaces hosts are reached via localhost)
+  formatUrl(host, port) {
+    const connectHost = !host || host === '0.0.0.0' || host === '::' ? 'localhost' : host;
+    return `http://${connectHost.includes(':') ? `[${connectHost}]` : connectHost}:${port}`;
+  }
+
+  /**
+   * URL of this instance's local server
+   * Uses the host and port recorded by a running server, else the configured ones
+   * @returns {string} Server URL
+   */
+  getServerUrl() {
+    const info = this.readPidFile();
+    if (info && info.port) {
+      return this.formatUrl(info.host, info.port);
+    }
+    return this.formatUrl(config.server.host, config.server.port);
+  }
+
+  /**
+   * List running servers of all instances
+   * @returns {Array<Object>} Pidfile info with the instance name for every live server
+   */
+  listInstances() {
+    const instancesDir = path.join(config.baseStateDir, 'instances');
+    const candidates = [{ name: 'default', pidFile: path.join(config.baseStateDir, 'server.pid') }];
+
+    if (fs.existsSync(instancesDir)) {
+      fs.readdirSync(instancesDir).forEach(name => {
+        candidates.push({ name, pidFile: path.join(instancesDir, name, 'server.pid') });
+      });
+    }
+
+    return candidates
+      .map(({ name, pidFile }) => {
+        try {
+          return { ...fs.readJsonSync(pidFile), name };
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(info => info && this.isProcessAlive(info.pid));
+  }
+
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  getStatus() {
+    const info = this.readPidFile();
+    if (!info) {
+      return { running: false };
+    }
+
+    if (!this.isProcessAlive(info.pid)) {
+      // Stale pidfile left behind by a crashed server
+      fs.removeSync(config.daemon.pidFile);
+      return { running: false, stale: true, pid: info.pid };
+    }
+
+    return { running: true, ...info };
+  }
+
+  /**
+   * Start `zypin start` as a detached background process
+   * @param {Array<string>} args - Arguments for `zypin start` (without --detach)
+   * @param {Object} env - Extra environment variables for the daemon
+   * @returns {{pid: number, logFile: string}} Daemon process info
+   */
+  start(args, env = {}) {
+    const logFile = config.daemon.logFile;
+    fs.ensureFileSync(logFile);
+    fs.appendFileSync(logFile, `\n=== Zypin daemon starting at ${new Date().toISOString()} ===\n`);
+
+    const logFd = fs.openSync(logFile, 'a');
+    try {
+      // detached puts the daemon in its own session, so it survives terminal and SSH hangups
+      const child = spawn(process.execPath, [this.binPath, 'start', ...args], {
+        detached: true,
+        stdio: ['ignore', logFd, logFd],
+        env: { ...process.env, ...env, ZYPIN_DAEMON: '1' }
+      });
+      child.unref();
+
+      return { pid: child.pid, logFile };
+    } finally {
+      fs.closeSync(logFd);
+    }
+  }
+
+  /**
+   * Wait until the daemon's server answers and the expected packages are healthy
+   * @param {number} pid - Daemon process ID
+   * @param {string} serverUrl - URL of the daemon's server
+   * @param {number} expected - Number of packages that must report healthy
+   * @param {string} token - API token the daemon requires (null when authentication is off)
+   * @param {number} timeout - Maximum time to wait in milliseconds
+   * @returns {Promise<{ready: boolean, exited: boolean, running: number}>} Startup outcome
+   */
+  async waitForReady(pid, serverUrl, expected = 1, token = null, timeout = config.daemon.startTimeout) {
+    const deadline = Date.now() + timeout;
+    // The daemon may not have saved its local token yet, and it is never sent to non-local hosts
+    remoteClient.setToken(token);
+
+    while (Date.now() < deadline) {
+      if (!this.isProcessAlive(pid)) {
+        return { ready: false, exited: true, running: 0 };
+      }
+
+      try {
+        const status = await remoteClient.getHealth(serverUrl);
+        // Dependents start only after their dependencies are ready, so wait for all of them
+        const healthy = (status.packages || []).filter(pkg => pkg.status === 'healthy').length;
+        if (status.running > 0 && healthy >= expected) {
+          return { ready: true, exited: false, running: status.running };
+        }
+      } catch (error) {
+        // Server not listening yet
+      }
+
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+    }
+
+    return { ready: false, exited: false, running: 0 };
+  }
+
+  // Helper method to wait for a process to exit
+  async waitForExit(pid, timeout) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+      if (!this.isProcessAlive(pid)) {
+        return true;
+      }
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL / 5));
+    }
+    return !this.isProcessAlive(pid);
+  }
+
+  /**
+   * Stop the server recorded in the pidfile
+   * Asks the server to shut down over HTTP first, then falls back to SIGTERM and SIGKILL
+   * @returns {Promise<{stopped: boolean, pid?: number, forced?: boolean}>} Stop outcome
+   */
+  async stop({ timeout = config.daemon.stopTimeout } = {}) {
+    const status = this.getStatus();
+    if (!status.running) {
+      return { stopped: false };
+    }
+
+    const { pid, port, host } = status;
+    let forced = false;
+
+    try {
+      await remoteClient.stopServer(this.formatUrl(host, port));
+    } catch (error) {
+      // API unavailable (e.g. server hung) - signal the process directly
+      try {
+        process.kill(pid, 'SIGTERM');
+      } catch (killError) {
+        // Process already gone
+      }
+    }
+
+    if (!await this.waitForExit(pid, timeout)) {
+      forced = true;
+      try {
+        process.kill(pid, 'SIGKILL');
+      } catch (error) {
+        // Process already gone
+      }
+      await this.waitForExit(pid, timeout);
+    }
+
+    if (fs.existsSync(config.daemon.pidFile) && !this.isProcessAlive(pid)) {
+      fs.removeSync(config.daemon.pidFile);
+    }
+
+    return { stopped: true, pid, forced };
+  }
+}
+
+module.exports = new Daemon();
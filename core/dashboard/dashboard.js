@@ -0,0 +1,264 @@
+/**
+ * Zypin dashboard
+ * Browser script for the built-in dashboard, built only on the server's JSON APIs
+ *
+ * TODO:
+ * - Show packages with status, PID, uptime and restarts
+ * - Start, stop and restart packages
+ * - Show and follow package logs
+ * - Show recent remote runs
+ */
+
+(function () {
+  'use strict';
+
+  const REFRESH_INTERVAL = 5000;
+  const TOKEN_KEY = 'zypinToken';
+
+  const elements = {
+    serverInfo: document.getElementById('server-info'),
+    overall: document.getElementById('overall'),
+    auth: document.getElementById('auth'),
+    authForm: document.getElementById('auth-form'),
+    authToken: document.getElementById('auth-token'),
+    message: document.getElementById('message'),
+    packages: document.getElementById('packages'),
+    runs: document.getElementById('runs'),
+    logsSection: document.getElementById('logs-section'),
+    logsPackage: document.getElementById('logs-package'),
+    logsFollow: document.getElementById('logs-follow'),
+    logsClose: document.getElementById('logs-close'),
+    logs: document.getElementById('logs')
+  };
+
+  let logsController = null;
+  let logsPackage = null;
+
+  // Helper function to escape text for HTML output
+  function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}m`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+  }
+
+  function showMessage(text, ok) {
+    elements.message.textContent = text;
+    elements.message.className = ok ? 'ok' : 'fail';
+    elements.message.hidden = false;
+  }
+
+  // Helper function to call the API with the stored token, showing the token form on 401
+  async function api(path, options = {}) {
+    const token = sessionStorage.getItem(TOKEN_KEY);
+    const headers = Object.assign({}, options.headers);
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(path, Object.assign({}, options, { headers }));
+    if (response.status === 401) {
+      elements.auth.hidden = false;
+      throw new Error('This server requires an API token');
+    }
+    elements.auth.hidden = true;
+    return response;
+  }
+
+  async function apiJson(path, options) {
+    const response = await api(path, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.message || body.error || `Request failed (HTTP ${response.status})`);
+    }
+    return body;
+  }
+
+  function renderPackages(health, available) {
+    const running = new Map(health.packages.map(pkg => [pkg.name, pkg]));
+    const rows = health.packages.map(pkg => {
+      const restarts = pkg.restarts ? `${pkg.restarts.count}/${pkg.restarts.maxRestarts}` : '-';
+      return `<tr>
+        <td><strong>${escapeHtml(pkg.name)}</strong></td>
+        <td><span class="badge ${escapeHtml(pkg.status)}">${escapeHtml(pkg.status)}</span></td>
+        <td>${escapeHtml(pkg.pid)}</td>
+        <td>${escapeHtml(formatDuration(Date.now() - new Date(pkg.startTime).getTime()))}</td>
+        <td>${escapeHtml(restarts)}</td>
+        <td class="muted">${escapeHtml(pkg.details)}</td>
+        <td>
+          <button data-action="restart" data-package="${escapeHtml(pkg.name)}">Restart</button>
+          <button data-action="stop" data-package="${escapeHtml(pkg.name)}">Stop</button>
+          <button data-action="logs" data-package="${escapeHtml(pkg.name)}">Logs</button>
+        </td>
+      </tr>`;
+    });
+
+    available
+      .filter(pkg => pkg.canStart && !running.has(pkg.name))
+      .forEach(pkg => {
+        const requires = pkg.dependencies.length > 0 ? `Requires ${pkg.dependencies.join(', ')}` : '';
+        rows.push(`<tr>
+          <td><strong>${escapeHtml(pkg.name)}</strong></td>
+          <td><span class="badge">stopped</span></td>
+          <td>-</td><td>-</td><td>-</td>
+          <td class="muted">${escapeHtml(requires)}</td>
+          <td>
+            <button data-action="start" data-package="${escapeHtml(pkg.name)}">Start</button>
+            <button data-action="logs" data-package="${escapeHtml(pkg.name)}">Logs</button>
+          </td>
+        </tr>`);
+      });
+
+    elements.packages.innerHTML = rows.length > 0
+      ? rows.join('')
+      : '<tr><td colspan="7" class="muted">No packages installed on this server</td></tr>';
+
+    elements.overall.textContent = `${health.status} · ${health.running} running`;
+    elements.overall.className = `badge ${health.status}`;
+  }
+
+  function renderRuns(runs) {
+    elements.runs.innerHTML = runs.length > 0
+      ? runs.map(run => `<tr>
+          <td>${escapeHtml(new Date(run.startedAt).toLocaleString())}</td>
+          <td>${escapeHtml(`${run.package}/${run.template}`)}</td>
+          <td>${escapeHtml(run.inputs.join(', '))}</td>
+          <td><span class="badge ${escapeHtml(run.result)}">${escapeHtml(run.result)}</span></td>
+          <td>${escapeHtml(formatDuration(run.duration))}</td>
+          <td class="muted">${escapeHtml(run.message)}</td>
+        </tr>`).join('')
+      : '<tr><td colspan="6" class="muted">No runs yet</td></tr>';
+  }
+
+  async function refresh() {
+    try {
+      const [health, packages, runs] = await Promise.all([
+        apiJson('/api/health'),
+        apiJson('/api/packages'),
+        apiJson('/api/runs')
+      ]);
+      renderPackages(health, packages.packages);
+      renderRuns(runs.runs);
+    } catch (error) {
+      elements.overall.textContent = 'unreachable';
+      elements.overall.className = 'badge down';
+      if (elements.auth.hidden) {
+        showMessage(error.message, false);
+      }
+    }
+  }
+
+  async function runAction(action, packageName, button) {
+    button.disabled = true;
+    try {
+      const result = await apiJson(`/api/packages/${encodeURIComponent(packageName)}/${action}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+      });
+      showMessage(result.message, true);
+    } catch (error) {
+      showMessage(`Failed to ${action} ${packageName}: ${error.message}`, false);
+    } finally {
+      button.disabled = false;
+      refresh();
+    }
+  }
+
+  function closeLogs() {
+    if (logsController) {
+      logsController.abort();
+      logsController = null;
+    }
+    logsPackage = null;
+    elements.logsSection.hidden = true;
+  }
+
+  function appendLogs(text) {
+    const atBottom = elements.logs.scrollTop + elements.logs.clientHeight >= elements.logs.scrollHeight - 4;
+    elements.logs.textContent += text;
+    if (atBottom) {
+      elements.logs.scrollTop = elements.logs.scrollHeight;
+    }
+  }
+
+  async function openLogs(packageName) {
+    closeLogs();
+    logsPackage = packageName;
+    logsController = new AbortController();
+    elements.logsPackage.textContent = packageName;
+    elements.logs.textContent = '';
+    elements.logsSection.hidden = false;
+
+    const follow = elements.logsFollow.checked;
+    const path = `/api/packages/${encodeURIComponent(packageName)}/logs?lines=200${follow ? '&follow=true' : ''}`;
+
+    try {
+      const response = await api(path, { signal: logsController.signal });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        elements.logs.textContent = body.message || `Failed to load logs (HTTP ${response.status})`;
+        return;
+      }
+
+      // Followed logs stay open and arrive in chunks
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        appendLogs(decoder.decode(value, { stream: true }));
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        appendLogs(`\n[${error.message}]\n`);
+      }
+    }
+  }
+
+  elements.packages.addEventListener('click', event => {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { action, package: packageName } = button.dataset;
+    if (action === 'logs') {
+      openLogs(packageName);
+    } else if (action !== 'stop' || window.confirm(`Stop ${packageName}?`)) {
+      runAction(action, packageName, button);
+    }
+  });
+
+  elements.logsClose.addEventListener('click', closeLogs);
+  elements.logsFollow.addEventListener('change', () => {
+    if (logsPackage) openLogs(logsPackage);
+  });
+
+  elements.authForm.addEventListener('submit', event => {
+    event.preventDefault();
+    sessionStorage.setItem(TOKEN_KEY, elements.authToken.value.trim());
+    elements.authToken.value = '';
+    elements.message.hidden = true;
+    refresh();
+  });
+
+  api('/api/ping')
+    .then(response => response.json())
+    .then(info => {
+      elements.serverInfo.textContent = `${window.location.host} · instance ${info.instance}`;
+    })
+    .catch(() => {});
+
+  refresh();
+  setInterval(refresh, REFRESH_INTERVAL);
+})();
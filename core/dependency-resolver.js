@@ -0,0 +1,70 @@
+/**
+ * Package dependency resolution for Zypin Framework
+ * Orders packages so dependencies start before the packages that need them
+ *
+ * TODO:
+ * - Read dependencies declared by plugins
+ * - Add missing dependencies to the start list
+ * - Produce a stable topological start order
+ * - Report missing dependencies and dependency cycles
+ */
+
+const pluginLoader = require('./plugin-loader');
+
+class DependencyResolver {
+  /**
+   * Resolve the start order for a list of packages
+   * @param {Array<string>} packageNames - Requested packages
+   * @returns {{order: Array<string>, added: Object, errors: Array<string>}}
+   *   Start order, dependencies added on behalf of requested packages (name -> dependent), and errors
+   */
+  resolve(packageNames) {
+    const order = [];
+    const added = {};
+    const errors = [];
+    const state = new Map(); // name -> 'visiting' | 'done'
+
+    const visit = (packageName, path) => {
+      if (state.get(packageName) === 'done') {
+        return;
+      }
+
+      if (state.get(packageName) === 'visiting') {
+        const cycleStart = path.indexOf(packageName);
+        errors.push(`Dependency cycle: ${path.slice(cycleStart).concat(packageName).join(' → ')}`);
+        return;
+      }
+
+      const plugin = pluginLoader.getPlugin(packageName);
+      if (!plugin) {
+        const dependent = path[path.length - 1];
+        errors.push(`Package '${packageName}' required by '${dependent}' is not installed`);
+        state.set(packageName, 'done');
+        return;
+      }
+
+      if (!plugin.hasStart) {
+        const dependent = path[path.length - 1];
+        errors.push(`Package '${packageName}' required by '${dependent}' does not support start functionality`);
+        state.set(packageName, 'done');
+        return;
+      }
+
+      state.set(packageName, 'visiting');
+      for (const dependency of plugin.dependencies) {
+        if (!packageNames.includes(dependency) && !(dependency in added)) {
+          added[dependency] = packageName;
+        }
+        visit(dependency, path.concat(packageName));
+      }
+      state.set(packageName, 'done');
+      order.push(packageName);
+    };
+
+    packageNames.forEach(packageName => visit(packageName, []));
+
+    return { order, added, errors };
+  }
+}
+
+module.exports = new DependencyResolver();
@@ -0,0 +1,87 @@
+/**
+ * File tailing helpers for Zypin Framework
+ * Reads the end of log files and follows them as they grow
+ *
+ * TODO:
+ * - Read the last N lines of a file without loading unrelated history
+ * - Follow a file and report appended data
+ * - Handle files that are truncated or rotated while following
+ */
+
+const fs = require('fs-extra');
+
+const TAIL_CHUNK_SIZE = 64 * 1024;
+
+class FileTail {
+  /**
+   * Read the last lines of a file
+   * @param {string} filePath - File to read
+   * @param {number} lines - Number of lines to return
+   * @returns {string} Last lines of the file (empty when the file doesn't exist)
+   */
+  readLastLines(filePath, lines = 50) {
+    if (!fs.existsSync(filePath)) {
+      return '';
+    }
+
+    const size = fs.statSync(filePath).size;
+    const fd = fs.openSync(filePath, 'r');
+
+    try {
+      let position = size;
+      let content = '';
+
+      // Read backwards in chunks until enough newlines are found
+      while (position > 0 && content.split('\n').length <= lines + 1) {
+        const length = Math.min(TAIL_CHUNK_SIZE, position);
+        position -= length;
+        const buffer = Buffer.alloc(length);
+        fs.readSync(fd, buffer, 0, length, position);
+        content = buffer.toString('utf8') + content;
+      }
+
+      const allLines = content.split('\n');
+      if (allLines[allLines.length - 1] === '') {
+        allLines.pop();
+      }
+      return allLines.slice(-lines).join('\n') + (allLines.length > 0 ? '\n' : '');
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Follow a file and call onData with appended content
+   * @param {string} filePath - File to follow
+   * @param {Function} onData - Called with each appended chunk (string)
+   * @param {Object} options - Follow options
+   * @param {number} options.interval - Polling interval in milliseconds
+   * @returns {Function} Function that stops following
+   */
+  follow(filePath, onData, { interval = 500 } = {}) {
+    let position = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+
+    const readAppended = (current) => {
+      // File was truncated or rotated - start again from the beginning
+      if (current.size < position) {
+        position = 0;
+      }
+
+      if (current.size === position) {
+        return;
+      }
+
+      const stream = fs.createReadStream(filePath, { start: position, end: current.size - 1 });
+      position = current.size;
+      stream.on('data', chunk => onData(chunk.toString()));
+      stream.on('error', () => {
+        // The file may be rotated between stat and read, the next poll catches up
+      });
+    };
+
+    fs.watchFile(filePath, { interval }, readAppended);
+    return () => fs.unwatchFile(filePath, readAppended);
+  }
+}
+
+module.exports = new FileTail();
@@ -0,0 +1,228 @@
+/**
+ * Test input resolution for Zypin Framework
+ * Expands `zypin run --input` entries into the list of test files passed to the plugin
+ *
+ * TODO:
+ * - Expand globs (tests/**\/*.spec.js) and directories into files
+ * - Keep directory files matching the test match rules (config file or plugin)
+ * - Drop files matching --exclude patterns
+ * - Dedupe and sort the result, relative to the project directory
+ * - Report inputs that match nothing
+ * - Pass entries that aren't paths (e.g. login.feature:12) to the plugin unchanged
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Directories never searched when expanding directories and globs
+const IGNORED_DIRECTORIES = ['node_modules', '.git'];
+
+const GLOB_CHARACTERS = /[*?[{]/;
+
+// Test files searched in directories when neither the package nor zypin.config.js declares testMatch
+const DEFAULT_TEST_MATCH = ['*.{spec,test}.{js,mjs,cjs,ts,mts,cts,jsx,tsx}', '*.feature'];
+
+class InputResolver {
+  isIgnoredDirectory(name) {
+    return IGNORED_DIRECTORIES.includes(name);
+  }
+
+  isGlob(pattern) {
+    return GLOB_CHARACTERS.test(pattern);
+  }
+
+  /**
+   * Split an --input value on commas, keeping commas inside {a,b} glob groups
+   * @param {string} value - Comma separated --input value
+   * @returns {Array<string>} Trimmed, non-empty entries
+   */
+  splitInputs(value = '') {
+    const entries = [''];
+    let braces = 0;
+    for (const char of value) {
+      if (char === '{') braces++;
+      if (char === '}' && braces > 0) braces--;
+      if (char === ',' && braces === 0) {
+        entries.push('');
+      } else {
+        entries[entries.length - 1] += char;
+      }
+    }
+    return entries.map(entry => entry.trim()).filter(entry => entry);
+  }
+
+  // Helper method to use forward slashes, so patterns and results look the same on every OS
+  toPosix(filePath) {
+    return filePath.split(path.sep).join('/');
+  }
+
+  /**
+   * Convert a glob pattern to a regular expression
+   * Supports **, *, ?, [abc] and {a,b}. Patterns without a slash match the file name in any directory.
+   * @param {string} pattern - Glob pattern
+   * @returns {RegExp} Regular expression matching relative paths with forward slashes
+   */
+  toRegExp(pattern) {
+    let glob = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+    if (!glob.includes('/')) {
+      glob = `**/${glob}`;
+    }
+
+    let source = '';
+    let braces = 0;
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        // **/ matches zero or more directories, a trailing ** matches everything below
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '[') {
+        const end = glob.indexOf(']', i + 1);
+        if (end === -1) {
+          source += '\\[';
+        } else {
+          source += `[${glob.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')}]`;
+          i = end;
+        }
+      } else if (char === '{') {
+        source += '(?:';
+        braces++;
+      } else if (char === '}' && braces > 0) {
+        source += ')';
+        braces--;
+      } else if (char === ',' && braces > 0) {
+        source += '|';
+      } else {
+        source += char.replace(/[.+^$()|\\]/g, '\\$&');
+      }
+    }
+
+    try {
+      return new RegExp(`^${source}$`);
+    } catch (error) {
+      throw new Error(`Invalid pattern '${pattern}' (check its [] and {} groups)`);
+    }
+  }
+
+  // Helper method to test a relative path, or any directory above it, against compiled patterns
+  matchesAny(relativePath, patterns, includeParents = false) {
+    if (patterns.some(pattern => pattern.test(relativePath))) {
+      return true;
+    }
+    if (!includeParents) {
+      return false;
+    }
+
+    const parts = relativePath.split('/');
+    for (let i = parts.length - 1; i > 0; i--) {
+      const parent = parts.slice(0, i).join('/');
+      if (patterns.some(pattern => pattern.test(parent))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Helper method to list all files below a directory, skipping ignored directories
+  walk(dir) {
+    const files = [];
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return files;
+    }
+
+    for (const entry of entries) {
+      if (this.isIgnoredDirectory(entry.name)) {
+        continue;
+      }
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this.walk(fullPath));
+      } else if (entry.isFile()) {
+        files.push(fullPath);
+      }
+    }
+    return files;
+  }
+
+  // Helper method to get the directory a glob starts searching from (the path before its first glob segment)
+  getGlobBase(pattern) {
+    const segments = pattern.replace(/\\/g, '/').split('/');
+    const index = segments.findIndex(segment => this.isGlob(segment));
+    return segments.slice(0, index).join('/') || '.';
+  }
+
+  /**
+   * Resolve --input entries to test files
+   * @param {Array<string>} inputs - Files, directories and glob patterns
+   * @param {Object} options - Resolution options
+   * @param {string} options.cwd - Project directory inputs are relative to
+   * @param {Array<string>} options.exclude - Patterns of files (or directories) to leave out
+   * @param {Array<string>} options.testMatch - Patterns files found in directories must match (DEFAULT_TEST_MATCH when empty)
+   * @returns {{files: Array<string>, unmatched: Array<string>, passedThrough: Array<string>}} Sorted unique files relative
+   *   to cwd (including passed through entries), inputs that matched nothing, and entries that aren't paths
+   * @throws {Error} When a pattern is invalid
+   */
+  resolve(inputs, { cwd = process.cwd(), exclude = [], testMatch = [] } = {}) {
+    const excludePatterns = exclude.map(pattern => this.toRegExp(pattern));
+    const testMatchPatterns = (testMatch.length > 0 ? testMatch : DEFAULT_TEST_MATCH).map(pattern => this.toRegExp(pattern));
+    const files = new Set();
+    const unmatched = [];
+    const passedThrough = [];
+
+    inputs.forEach(input => {
+      const found = [];
+
+      if (this.isGlob(input)) {
+        // Absolute patterns are matched against absolute paths, everything else relative to cwd
+        const pattern = this.toRegExp(input);
+        this.walk(path.resolve(cwd, this.getGlobBase(input)))
+          .filter(file => pattern.test(this.toPosix(path.isAbsolute(input) ? file : path.relative(cwd, file))))
+          .forEach(file => found.push(this.toPosix(path.relative(cwd, file))));
+      } else {
+        const fullPath = path.resolve(cwd, input);
+        let stats = null;
+        try {
+          stats = fs.statSync(fullPath);
+        } catch (error) {
+          // Reported as unmatched below
+        }
+
+        if (stats && stats.isDirectory()) {
+          this.walk(fullPath)
+            .map(file => this.toPosix(path.relative(cwd, file)))
+            .filter(file => this.matchesAny(file, testMatchPatterns))
+            .forEach(file => found.push(file));
+        } else if (stats) {
+          found.push(this.toPosix(path.relative(cwd, fullPath)));
+        } else {
+          // Not a path - likely a selector the package resolves itself (file:line, test ids)
+          passedThrough.push(input);
+          files.add(input);
+          return;
+        }
+      }
+
+      const kept = found.filter(file => !this.matchesAny(file, excludePatterns, true));
+      if (kept.length === 0) {
+        unmatched.push(input);
+      }
+      kept.forEach(file => files.add(file));
+    });
+
+    return { files: Array.from(files).sort(), unmatched, passedThrough };
+  }
+}
+
+module.exports = new InputResolver();
@@ -0,0 +1,273 @@
+/**
+ * Test run queue for Zypin Framework
+ * Queues remote test runs on the server and runs a limited number per package at once
+ *
+ * TODO:
+ * - Queue jobs in submission order with a configurable concurrency limit per package
+ * - Report queue positions and notify waiting jobs when they move up
+ * - Cancel queued and running jobs
+ * - Keep job events so clients can attach (and re-attach) to a job's output
+ * - Cap the output kept per job so long, verbose runs don't fill the server's memory
+ * - Keep a limited number of finished jobs for lookups
+ */
+
+const crypto = require('crypto');
+const winston = require('winston');
+const config = require('./config');
+
+// Setup logger
+const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const FINISHED_STATUSES = ['passed', 'failed', 'cancelled', 'error'];
+
+class JobQueue {
+  constructor() {
+    // id -> job, in submission order
+    this.jobs = new Map();
+    this.concurrency = config.jobs.concurrency;
+    // packageName -> concurrency limit overriding the default
+    this.packageConcurrency = {};
+  }
+
+  // Override concurrency limits (from zypin.config.js `server.concurrency` and `packages.<name>.concurrency`)
+  configure({ concurrency, packages } = {}) {
+    if (concurrency) this.concurrency = concurrency;
+    if (packages) this.packageConcurrency = { ...packages };
+  }
+
+  getLimit(packageName) {
+    return this.packageConcurrency[packageName] || this.concurrency;
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  // Helper method to list jobs of a package with a given status, oldest first
+  filterJobs(packageName, status) {
+    return Array.from(this.jobs.values()).filter(job => job.package === packageName && job.status === status);
+  }
+
+  // Helper method to get a queued job's 1-based position among the package's waiting jobs
+  getPosition(job) {
+    if (job.status !== 'queued') {
+      return null;
+    }
+    return this.filterJobs(job.package, 'queued').indexOf(job) + 1;
+  }
+
+  /**
+   * Describe a job for API responses
+   * @param {Object} job - Job
+   * @returns {Object} Job summary without events and internals
+   */
+  describe(job) {
+    return {
+      id: job.id,
+      package: job.package,
+      template: job.template,
+      inputs: job.inputs,
+      status: job.status,
+      position: this.getPosition(job),
+      message: job.message,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values());
+  }
+
+  // Helper method to record a job event and pass it to attached clients
+  emit(job, event) {
+    job.events.push(event);
+    if (event.type === 'output') {
+      this.trimOutput(job, Buffer.byteLength(String(event.data)));
+    }
+    job.listeners.forEach(listener => listener(event));
+  }
+
+  // Helper method to drop the oldest kept output once a job's output grows beyond the limit
+  trimOutput(job, bytes) {
+    job.outputBytes += bytes;
+    while (job.outputBytes > config.jobs.maxOutputBytes) {
+      const index = job.events.findIndex(event => event.type === 'output');
+      if (index === -1) break;
+      const dropped = Buffer.byteLength(String(job.events[index].data));
+      job.events.splice(index, 1);
+      job.outputBytes -= dropped;
+      job.droppedOutputBytes += dropped;
+    }
+  }
+
+  /**
+   * Attach to a job's events, replaying the ones already emitted
+   * @param {Object} job - Job
+   * @param {Function} listener - Called with each event
+   * @returns {Function} Function that detaches the listener
+   */
+  subscribe(job, listener) {
+    let notified = job.droppedOutputBytes === 0;
+    job.events.forEach(event => {
+      // Say where older output went missing, right before the first output that is still kept
+      if (!notified && event.type === 'output') {
+        notified = true;
+        listener({ type: 'output', stream: 'stderr', data: `[${job.droppedOutputBytes} bytes of earlier output not kept by the server]\n` });
+      }
+      listener(event);
+    });
+    if (this.isFinished(job)) {
+      return () => {};
+    }
+
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+  }
+
+  /**
+   * Queue a job
+   * @param {Object} details - Job details ({package, template, inputs})
+   * @param {Object} handlers - Job handlers
+   * @param {Function} handlers.execute - Async function receiving ({id, signal, emit}) and returning {success, cancelled, message}
+   * @param {Function} handlers.cleanup - Async function called once the job has finished, whether it ran or not
+   * @returns {Object} The queued job
+   */
+  submit({ package: packageName, template, inputs }, { execute, cleanup }) {
+    const queued = Array.from(this.jobs.values()).filter(job => job.status === 'queued').length;
+    if (queued >= config.jobs.maxQueued) {
+      throw new Error(`The run queue is full (${config.jobs.maxQueued} jobs waiting), try again later`);
+    }
+
+    const job = {
+      id: crypto.randomBytes(8).toString('hex'),
+      package: packageName,
+      template,
+      inputs,
+      status: 'queued',
+      message: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      events: [],
+      outputBytes: 0,
+      droppedOutputBytes: 0,
+      listeners: new Set(),
+      abortController: new AbortController(),
+      execute,
+      cleanup
+    };
+
+    this.jobs.set(job.id, job);
+    logger.info(`Queued job ${job.id} (${packageName}/${template})`);
+
+    this.schedule(packageName);
+    if (job.status === 'queued') {
+      this.emit(job, { type: 'queued', id: job.id, position: this.getPosition(job) });
+    }
+    return job;
+  }
+
+  // Helper method to start queued jobs of a package while it is below its concurrency limit
+  schedule(packageName) {
+    const waiting = this.filterJobs(packageName, 'queued');
+    let running = this.filterJobs(packageName, 'running').length;
+
+    while (waiting.length > 0 && running < this.getLimit(packageName)) {
+      this.run(waiting.shift());
+      running++;
+    }
+
+    // Tell the jobs that are still waiting where they stand now
+    waiting.forEach((job, index) => {
+      const lastQueued = job.events.filter(event => event.type === 'queued').pop();
+      if (lastQueued && lastQueued.position !== index + 1) {
+        this.emit(job, { type: 'queued', id: job.id, position: index + 1 });
+      }
+    });
+  }
+
+  async run(job) {
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    logger.info(`Starting job ${job.id} (${job.package}/${job.template})`);
+    this.emit(job, { type: 'started', id: job.id, package: job.package, template: job.template });
+
+    let result;
+    try {
+      result = await job.execute({
+        id: job.id,
+        signal: job.abortController.signal,
+        emit: event => this.emit(job, event)
+      });
+    } catch (error) {
+      logger.error(`Job ${job.id} failed: ${error.message}`);
+      result = { success: false, error: true, message: `Test execution failed: ${error.message}` };
+    }
+
+    const status = result.error ? 'error' : (result.cancelled ? 'cancelled' : (result.success ? 'passed' : 'failed'));
+    await this.finish(job, status, result.message);
+  }
+
+  // Helper method to mark a job finished, release its slot and drop old finished jobs
+  async finish(job, status, message) {
+    job.status = status;
+    job.message = message;
+    job.finishedAt = new Date().toISOString();
+    logger.info(`Job ${job.id} finished: ${status}`);
+
+    this.emit(job, { type: 'result', id: job.id, status, success: status === 'passed', message });
+    job.listeners.clear();
+
+    this.schedule(job.package);
+    this.prune();
+
+    if (job.cleanup) {
+      try {
+        await job.cleanup();
+      } catch (error) {
+        logger.debug(`Cleanup of job ${job.id} failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job ID
+   * @returns {Object|null} The job, or null when it doesn't exist
+   */
+  async cancel(id) {
+    const job = this.get(id);
+    if (!job || this.isFinished(job)) {
+      return job;
+    }
+
+    logger.info(`Cancelling job ${job.id}`);
+    if (job.status === 'queued') {
+      await this.finish(job, 'cancelled', 'Test run cancelled before it started');
+    } else {
+      // The executor reports the cancelled result once the worker is gone
+      job.abortController.abort();
+    }
+    return job;
+  }
+
+  // Helper method to keep only the newest finished jobs (and their output) in memory
+  prune() {
+    const finished = Array.from(this.jobs.values()).filter(job => this.isFinished(job));
+    finished
+      .slice(0, Math.max(0, finished.length - config.jobs.keepFinished))
+      .forEach(job => this.jobs.delete(job.id));
+  }
+}
+
+module.exports = new JobQueue();
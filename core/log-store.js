@@ -0,0 +1,99 @@
+/**
+ * Package log storage for Zypin Framework
+ * Captures package process output into per-package rotating log files
+ *
+ * TODO:
+ * - Capture stdout/stderr of spawned package processes
+ * - Rotate log files by size and keep a limited number of old files
+ * - Read and follow package logs for the API and CLI
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const fileTail = require('./file-tail');
+
+// Package names used as log file names (plugin names never contain slashes)
+const PACKAGE_NAME_PATTERN = /^[\w.-]+$/;
+
+class LogStore {
+  isValidName(packageName) {
+    return PACKAGE_NAME_PATTERN.test(String(packageName));
+  }
+
+  getLogFile(packageName) {
+    const logsDir = path.resolve(config.logs.dir);
+    const logFile = path.resolve(logsDir, `${packageName}.log`);
+
+    // Names come from API URLs and the command line, they must never point outside the logs directory
+    if (!this.isValidName(packageName) || path.dirname(logFile) !== logsDir) {
+      throw new Error(`Invalid package name '${packageName}'`);
+    }
+    return logFile;
+  }
+
+  hasLogs(packageName) {
+    try {
+      return fs.existsSync(this.getLogFile(packageName));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Helper method to shift name.log -> name.log.1 -> name.log.2 ... dropping the oldest
+  rotate(packageName) {
+    const logFile = this.getLogFile(packageName);
+
+    for (let index = config.logs.maxFiles - 1; index >= 1; index--) {
+      const source = index === 1 ? logFile : `${logFile}.${index - 1}`;
+      if (fs.existsSync(source)) {
+        fs.moveSync(source, `${logFile}.${index}`, { overwrite: true });
+      }
+    }
+  }
+
+  append(packageName, data) {
+    try {
+      const logFile = this.getLogFile(packageName);
+      fs.ensureDirSync(config.logs.dir);
+      if (fs.existsSync(logFile) && fs.statSync(logFile).size >= config.logs.maxSize) {
+        this.rotate(packageName);
+      }
+      fs.appendFileSync(logFile, data);
+    } catch (error) {
+      // Losing log output must never take the package down
+    }
+  }
+
+  /**
+   * Capture output of a spawned package process
+   * @param {string} packageName - Package name
+   * @param {ChildProcess} child - Process returned by the plugin's start()
+   * @returns {boolean} Whether any output stream could be captured
+   */
+  attach(packageName, child) {
+    this.append(packageName, `\n=== ${packageName} started (PID: ${child.pid}) at ${new Date().toISOString()} ===\n`);
+
+    const streams = [child.stdout, child.stderr].filter(stream => stream && typeof stream.on === 'function');
+    if (streams.length === 0) {
+      this.append(packageName, 'Output not captured: process was not started with piped stdout/stderr\n');
+      return false;
+    }
+
+    streams.forEach(stream => {
+      stream.on('data', data => this.append(packageName, data));
+    });
+
+    return true;
+  }
+
+  read(packageName, lines = 100) {
+    return fileTail.readLastLines(this.getLogFile(packageName), lines);
+  }
+
+  follow(packageName, onData) {
+    return fileTail.follow(this.getLogFile(packageName), onData);
+  }
+}
+
+module.exports = new LogStore();
@@ -0,0 +1,161 @@
+/**
+ * Prometheus metrics for Zypin Framework
+ * Collects server metrics and renders them in the Prometheus text exposition format
+ *
+ * TODO:
+ * - Count HTTP requests and observe latencies per route
+ * - Count test runs by result and observe run durations
+ * - Report package up/down state and restart counts from ProcessManager health
+ * - Render counters, gauges and histograms without external dependencies
+ */
+
+// Latency buckets in seconds
+const REQUEST_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const RUN_BUCKETS = [1, 5, 10, 30, 60, 120, 300, 600, 1800];
+
+// Helper function to escape a label value (backslash, double quote and newline)
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Helper function to format a label set, e.g. {route="/api/health",status="200"}
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metrics {
+  constructor() {
+    this.startTime = Date.now();
+    // metric name -> Map(label key -> {labels, value}) / {labels, buckets, sum, count}
+    this.counters = new Map();
+    this.histograms = new Map();
+    this.runsInProgress = 0;
+  }
+
+  // Helper method to find or create the series for a label set
+  getSeries(store, name, labels, create) {
+    if (!store.has(name)) {
+      store.set(name, new Map());
+    }
+    const series = store.get(name);
+    const key = formatLabels(labels);
+    if (!series.has(key)) {
+      series.set(key, create());
+    }
+    return series.get(key);
+  }
+
+  increment(name, labels = {}, amount = 1) {
+    const series = this.getSeries(this.counters, name, labels, () => ({ labels, value: 0 }));
+    series.value += amount;
+  }
+
+  observe(name, labels, value, buckets) {
+    const series = this.getSeries(this.histograms, name, labels, () => ({
+      labels,
+      buckets: buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.buckets[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Record a finished HTTP request
+   * @param {string} method - HTTP method
+   * @param {string} route - Route pattern (e.g. /api/packages/:name/stop), not the raw URL
+   * @param {number} status - Response status code
+   * @param {number} seconds - Request duration
+   */
+  recordRequest(method, route, status, seconds) {
+    this.increment('zypin_http_requests_total', { method, route, status });
+    this.observe('zypin_http_request_duration_seconds', { method, route }, seconds, REQUEST_BUCKETS);
+  }
+
+  runStarted() {
+    this.runsInProgress++;
+  }
+
+  /**
+   * Record a finished test run
+   * @param {string} packageName - Package that executed the run
+   * @param {string} result - passed, failed, cancelled or error
+   * @param {number} seconds - Run duration
+   */
+  runFinished(packageName, result, seconds) {
+    this.runsInProgress = Math.max(0, this.runsInProgress - 1);
+    this.increment('zypin_runs_total', { package: packageName, result });
+    this.observe('zypin_run_duration_seconds', { package: packageName }, seconds, RUN_BUCKETS);
+  }
+
+  // Helper method to render one metric family
+  renderFamily(lines, name, type, help, samples) {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    samples.forEach(([sampleName, labels, value]) => {
+      lines.push(`${sampleName}${formatLabels(labels)} ${value}`);
+    });
+  }
+
+  renderHistogram(lines, name, help, buckets) {
+    const samples = [];
+    for (const series of (this.histograms.get(name) || new Map()).values()) {
+      buckets.forEach((bound, index) => {
+        samples.push([`${name}_bucket`, { ...series.labels, le: bound }, series.buckets[index]]);
+      });
+      samples.push([`${name}_bucket`, { ...series.labels, le: '+Inf' }, series.count]);
+      samples.push([`${name}_sum`, series.labels, series.sum]);
+      samples.push([`${name}_count`, series.labels, series.count]);
+    }
+    this.renderFamily(lines, name, 'histogram', help, samples);
+  }
+
+  renderCounter(lines, name, help) {
+    const samples = Array.from((this.counters.get(name) || new Map()).values())
+      .map(series => [name, series.labels, series.value]);
+    this.renderFamily(lines, name, 'counter', help, samples);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @param {Object} health - Result of processManager.getHealth()
+   * @returns {string} Metrics text
+   */
+  render(health) {
+    const lines = [];
+    const packages = health.packages || [];
+
+    this.renderFamily(lines, 'zypin_server_start_time_seconds', 'gauge', 'Start time of the Zypin server since unix epoch in seconds',
+      [['zypin_server_start_time_seconds', {}, Math.floor(this.startTime / 1000)]]);
+
+    this.renderFamily(lines, 'zypin_package_up', 'gauge', 'Whether the package process is running (1) or down (0)',
+      packages.map(pkg => ['zypin_package_up', { package: pkg.name }, pkg.status === 'down' ? 0 : 1]));
+    this.renderFamily(lines, 'zypin_package_healthy', 'gauge', 'Whether the package reports healthy (1) or not (0)',
+      packages.map(pkg => ['zypin_package_healthy', { package: pkg.name }, pkg.status === 'healthy' ? 1 : 0]));
+    this.renderFamily(lines, 'zypin_package_restarts_total', 'counter', 'Automatic restarts of the package since it was started',
+      packages.map(pkg => ['zypin_package_restarts_total', { package: pkg.name }, pkg.restarts ? pkg.restarts.total : 0]));
+
+    this.renderCounter(lines, 'zypin_http_requests_total', 'HTTP requests by method, route and status code');
+    this.renderHistogram(lines, 'zypin_http_request_duration_seconds', 'HTTP request latency by method and route', REQUEST_BUCKETS);
+
+    this.renderFamily(lines, 'zypin_runs_in_progress', 'gauge', 'Test runs currently executing',
+      [['zypin_runs_in_progress', {}, this.runsInProgress]]);
+    this.renderCounter(lines, 'zypin_runs_total', 'Finished test runs by package and result (passed, failed, cancelled, error)');
+    this.renderHistogram(lines, 'zypin_run_duration_seconds', 'Test run duration by package', RUN_BUCKETS);
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new Metrics();
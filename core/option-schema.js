@@ -0,0 +1,148 @@
+/**
+ * Option schema validation for Zypin Framework
+ * Validates and coerces option values against schemas declared by plugins
+ *
+ * TODO:
+ * - Coerce string values (from --set) to declared types
+ * - Apply schema defaults
+ * - Reject unknown options, bad types, out-of-range and non-enum values
+ * - Describe schema options for help output
+ */
+
+const SUPPORTED_TYPES = ['string', 'number', 'integer', 'boolean', 'array'];
+
+class OptionSchema {
+  // Helper method to coerce a single value to a type, returns undefined when impossible
+  coerce(value, type) {
+    switch (type) {
+      case 'number':
+      case 'integer': {
+        const number = typeof value === 'number' ? value : Number(value);
+        if (typeof value === 'string' && value.trim() === '') return undefined;
+        if (Number.isNaN(number)) return undefined;
+        if (type === 'integer' && !Number.isInteger(number)) return undefined;
+        return number;
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return undefined;
+      case 'array':
+        if (Array.isArray(value)) return value;
+        if (typeof value === 'string') return value.split(',').map(item => item.trim()).filter(item => item);
+        return undefined;
+      case 'string':
+        return typeof value === 'string' ? value : String(value);
+      default:
+        return value;
+    }
+  }
+
+  // Helper method to validate one value against its definition, returns an error message or null
+  checkValue(key, value, definition) {
+    if (definition.enum && !definition.enum.includes(value)) {
+      return `${key} must be one of: ${definition.enum.join(', ')} (got ${value})`;
+    }
+    if (definition.min !== undefined && value < definition.min) {
+      return `${key} must be at least ${definition.min} (got ${value})`;
+    }
+    if (definition.max !== undefined && value > definition.max) {
+      return `${key} must be at most ${definition.max} (got ${value})`;
+    }
+    return null;
+  }
+
+  /**
+   * Validate option values against a schema
+   * @param {Object} schema - Map of option name to definition ({type, description, default, enum, min, max, items, required})
+   * @param {Object} values - Option values (strings are coerced)
+   * @param {string} prefix - Prefix for error messages (e.g. "selenium.")
+   * @returns {{values: Object, errors: Array<string>}} Coerced values with defaults and validation errors
+   */
+  validate(schema, values = {}, prefix = '') {
+    const result = {};
+    const errors = [];
+
+    for (const key of Object.keys(values)) {
+      if (!schema[key]) {
+        errors.push(`Unknown option ${prefix}${key}`);
+      }
+    }
+
+    for (const [key, definition] of Object.entries(schema)) {
+      const name = `${prefix}${key}`;
+      const type = SUPPORTED_TYPES.includes(definition.type) ? definition.type : 'string';
+      let value = values[key];
+
+      if (value === undefined) {
+        if (definition.default !== undefined) {
+          result[key] = definition.default;
+        } else if (definition.required) {
+          errors.push(`Missing required option ${name}`);
+        }
+        continue;
+      }
+
+      value = this.coerce(value, type);
+      if (value === undefined) {
+        const expected = { array: 'a list', integer: 'an integer' }[type] || `a ${type}`;
+        errors.push(`${name} must be ${expected} (got ${values[key]})`);
+        continue;
+      }
+
+      if (type === 'array') {
+        const items = definition.items || {};
+        const itemType = SUPPORTED_TYPES.includes(items.type) ? items.type : 'string';
+        const coercedItems = [];
+
+        for (const item of value) {
+          const coerced = this.coerce(item, itemType);
+          const error = coerced === undefined
+            ? `${name} items must be ${itemType}s (got ${item})`
+            : this.checkValue(name, coerced, items);
+          if (error) {
+            errors.push(error);
+          } else {
+            coercedItems.push(coerced);
+          }
+        }
+        value = coercedItems;
+      } else {
+        const error = this.checkValue(name, value, definition);
+        if (error) {
+          errors.push(error);
+          continue;
+        }
+      }
+
+      result[key] = value;
+    }
+
+    return { values: result, errors };
+  }
+
+  /**
+   * Describe schema options for help output
+   * @param {Object} schema - Option schema
+   * @returns {Array<{name: string, summary: string, description: string}>} One entry per option
+   */
+  describe(schema = {}) {
+    return Object.entries(schema).map(([key, definition]) => {
+      const type = definition.type || 'string';
+      const details = [type];
+      const allowed = definition.enum || (definition.items && definition.items.enum);
+      if (allowed) details.push(`one of ${allowed.join('|')}`);
+      if (definition.default !== undefined) details.push(`default: ${definition.default}`);
+      if (definition.required) details.push('required');
+
+      return {
+        name: key,
+        summary: details.join(', '),
+        description: definition.description || ''
+      };
+    });
+  }
+}
+
+module.exports = new OptionSchema();
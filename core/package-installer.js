@@ -55,7 +55,7 @@ class PackageInstaller {
     console.log('');
     console.log(chalk.blue('📚 After installation:'));
     console.log(chalk.gray('  1. Verify installation: zypin start --packages <package>'));
-    console.log(chalk.gray('  2. Check health: zypin health --server http://localhost:8421'));
+    console.log(chalk.gray('  2. Check health: zypin health'));
     console.log(chalk.gray('  3. Create project: zypin create-project my-tests --template <package>/<template>'));
     console.log('');
   }
@@ -75,7 +75,20 @@ class PluginLoader {
         hasStart: typeof pluginInterface.start === 'function',
         hasRun: typeof pluginInterface.run === 'function',
         hasHealth: typeof pluginInterface.health === 'function',
-        templates: pluginInterface.templates || []
+        hasStop: typeof pluginInterface.stop === 'function',
+        templates: pluginInterface.templates || [],
+        // Schema for options passed to start(), used for validation and help
+        startOptions: pluginInterface.startOptions || null,
+        // Packages that must be running (and ready) before this one starts
+        dependencies: Array.isArray(pluginInterface.dependencies) ? pluginInterface.dependencies : [],
+        hasReady: typeof pluginInterface.ready === 'function',
+        readyTimeout: pluginInterface.readyTimeout || null,
+        // Globs for test files when --input names a directory (zypin.config.js `run.testMatch` overrides them)
+        testMatch: Array.isArray(pluginInterface.testMatch) ? pluginInterface.testMatch : [],
+        // Plugins that run tests in parallel themselves get --parallel as is instead of core worker processes
+        handlesParallel: pluginInterface.handlesParallel === true,
+        // Plugins that select tests by cliParams.filter themselves, others get the files core filtered by header
+        supportsFilter: pluginInterface.supportsFilter === true
       };
 
       this.plugins.set(packageName, pluginInfo);
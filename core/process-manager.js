@@ -3,18 +3,31 @@
  * Handles spawning, tracking, and health checking of testing processes
  * 
  * TODO:
- * - Track spawned processes with PIDs
+ * - Track spawned processes with PIDs in the shared per-user state
+ * - Reconcile stale state entries (dead or recycled PIDs) on load
  * - Implement process cleanup on exit
- * - Basic health check functionality
- * - Process start/stop/status methods
- * - Add process logging and monitoring
- * - Implement graceful shutdown handling
+ * - Health checks combining PID liveness and plugin health() functions
+ * - Process start/stop/restart/status methods
+ * - Capture package output into per-package log files
+ * - Supervise started packages and restart them when they crash
+ * - Start packages in dependency order, wait for readiness and roll back on failure
+ * - Graceful shutdown: plugin stop() hook, SIGTERM to the process tree, SIGKILL after a grace period
  */
 
 const winston = require('winston');
-const fs = require('fs-extra');
-const path = require('path');
 const config = require('./config');
+const dependencyResolver = require('./dependency-resolver');
+const logStore = require('./log-store');
+const pluginLoader = require('./plugin-loader');
+const processTree = require('./process-tree');
+const stateStore = require('./state-store');
+const supervisor = require('./supervisor');
+
+// Health states ordered from best to worst
+const HEALTH_STATES = ['healthy', 'degraded', 'down'];
+
+// Process start times from ps have one second resolution
+const START_TIME_TOLERANCE = 1000;
 
 // Setup logger
 const logger = winston.createLogger({
@@ -25,30 +38,53 @@ const logger = winston.createLogger({
 
 class ProcessManager {
   constructor() {
-    this.stateFile = path.join(__dirname, '..', '.zypin-processes.json');
     this.processes = new Map();
+    // Packages started by this process - only these are cleaned up on exit
+    this.ownedPackages = new Set();
+    // Shared by concurrent cleanup() calls during shutdown
+    this.cleanupPromise = null;
     this.loadState();
     this.setupExitHandlers();
   }
 
   loadState() {
     try {
-      if (fs.existsSync(this.stateFile)) {
-        const state = fs.readJsonSync(this.stateFile);
-        for (const [name, proc] of Object.entries(state)) {
-          // For Phase 1, we'll trust the state file for simulated processes
-          this.processes.set(name, proc);
-        }
+      const state = stateStore.read();
+      const stale = Object.keys(state).filter(name => !this.isSameProcess(state[name]));
+
+      if (stale.length > 0) {
+        // Drop entries whose process is gone or whose PID now belongs to another process
+        stale.forEach(name => logger.debug(`Removing stale state entry for ${name} (PID: ${state[name].pid})`));
+        this.processes = new Map(Object.entries(stateStore.update(current => {
+          stale.forEach(name => {
+            if (current[name] && !this.isSameProcess(current[name])) {
+              delete current[name];
+            }
+          });
+        })));
+      } else {
+        this.processes = new Map(Object.entries(state));
       }
     } catch (error) {
-      // Ignore errors during state loading for Phase 1
+      logger.error(`Failed to load process state: ${error.message}`);
     }
   }
 
-  saveState() {
+  // Helper method to write this process's view of the given packages to the shared state
+  persist(...packageNames) {
     try {
-      const state = Object.fromEntries(this.processes);
-      fs.writeJsonSync(this.stateFile, state, { spaces: 2 });
+      const processes = stateStore.update(state => {
+        packageNames.forEach(name => {
+          if (this.processes.has(name)) {
+            state[name] = this.processes.get(name);
+          } else {
+            delete state[name];
+          }
+        });
+      });
+
+      // Pick up packages started or stopped by other zypin invocations
+      this.processes = new Map(Object.entries(processes));
     } catch (error) {
       logger.error(`Failed to save process state: ${error.message}`);
     }
@@ -59,35 +95,63 @@ class ProcessManager {
     process.on('SIGTERM', () => this.cleanup());
   }
 
-  // Helper method to check if process exists and kill it by PID
-  killProcessByPid(pid) {
+  // Helper method to call a plugin's optional stop() hook, bounded by the grace period
+  async runStopHook(packageName, proc) {
+    const plugin = pluginLoader.getPlugin(packageName);
+    if (!plugin || !plugin.hasStop) {
+      return 'none';
+    }
+
+    let timer;
     try {
-      // Check if process exists
-      process.kill(pid, 0); // Signal 0 just checks if process exists
-      
-      // Process exists, kill it
-      process.kill(pid, 'SIGTERM');
-      return true;
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`stop() timed out after ${config.shutdown.gracePeriod}ms`)), config.shutdown.gracePeriod);
+      });
+      await Promise.race([plugin.interface.stop(this, proc), timeout]);
+      return 'ok';
     } catch (error) {
-      // Process doesn't exist or already dead
-      return false;
+      logger.warn(`Stop hook for ${packageName} failed: ${error.message}`);
+      return 'failed';
+    } finally {
+      clearTimeout(timer);
     }
   }
 
-  async startPackage(packageName, plugin) {
+  /**
+   * Terminate a package: plugin stop() hook, SIGTERM to its process tree, SIGKILL after the grace period
+   * @param {string} packageName - Package name
+   * @param {Object} proc - Tracked process info
+   * @returns {Promise<Object>} Report {name, pid, stopHook, terminated, killed, leftover}
+   */
+  async terminatePackage(packageName, proc) {
+    // Snapshot first - once the package process exits its children are re-parented and lost
+    const tree = processTree.collect(proc.pid);
+    const stopHook = await this.runStopHook(packageName, proc);
+    const outcome = await processTree.terminate(tree);
+
+    const report = { name: packageName, pid: proc.pid, stopHook, ...outcome };
+    if (outcome.killed.length > 0) {
+      logger.warn(`${packageName}: killed ${outcome.killed.length} process(es) that ignored SIGTERM (PIDs: ${outcome.killed.join(', ')})`);
+    }
+    if (outcome.leftover.length > 0) {
+      logger.error(`${packageName}: ${outcome.leftover.length} process(es) still running (PIDs: ${outcome.leftover.join(', ')})`);
+    }
+    return report;
+  }
+
+  async startPackage(packageName, plugin, options = {}) {
     if (this.processes.has(packageName)) {
       const proc = this.processes.get(packageName);
       // Check if process is actually alive
-      try {
-        process.kill(proc.pid, 0); // Signal 0 just checks if process exists
+      if (this.isSameProcess(proc)) {
         logger.info(`Package ${packageName} is already running`);
         return false;
-      } catch (error) {
-        // Process is dead, remove from state and continue
-        logger.info(`Package ${packageName} was running but process is dead, cleaning up...`);
-        this.processes.delete(packageName);
-        this.saveState();
       }
+
+      // Process is dead, remove from state and continue
+      logger.info(`Package ${packageName} was running but process is dead, cleaning up...`);
+      this.processes.delete(packageName);
+      this.persist(packageName);
     }
 
     if (!plugin.hasStart) {
@@ -99,18 +163,25 @@ class ProcessManager {
     
     try {
       // Call plugin start function
-      const process = await plugin.interface.start(this, {});
+      const process = await plugin.interface.start(this, options);
       
       if (process && process.pid) {
         // Store only essential process info (no process object to prevent memory leak)
         const processInfo = {
           name: packageName,
           pid: process.pid,
-          startTime: new Date().toISOString()
+          // Lets later invocations tell this process from one that reused its PID
+          pidStartTime: processTree.getStartTime(process.pid),
+          startTime: new Date().toISOString(),
+          // Kept so restarts launch the package with the same options
+          options
         };
         
         this.processes.set(packageName, processInfo);
-        this.saveState();
+        this.ownedPackages.add(packageName);
+        this.persist(packageName);
+        logStore.attach(packageName, process);
+        supervisor.watch(packageName, process, () => this.startPackage(packageName, plugin, options));
         logger.info(`${packageName} started (PID: ${process.pid})`);
         return true;
       } else {
@@ -123,6 +194,308 @@ class ProcessManager {
     }
   }
 
+  /**
+   * Start packages in dependency order, waiting for each to become ready before its dependents
+   * @param {Array<string>} packageNames - Requested packages (dependencies are added automatically)
+   * @param {Object} optionsByPackage - Start options per package name
+   * @returns {Promise<Object>} {success, order, added, started, alreadyRunning, failed, error, rolledBack}
+   */
+  async startPackages(packageNames, optionsByPackage = {}) {
+    const { order, added, errors } = dependencyResolver.resolve(packageNames);
+    const result = { success: false, order, added, started: [], alreadyRunning: [], failed: null, error: null, rolledBack: [] };
+
+    if (errors.length > 0) {
+      result.error = errors.join('; ');
+      return result;
+    }
+
+    for (const packageName of order) {
+      const proc = this.processes.get(packageName);
+      if (this.isSameProcess(proc)) {
+        // Packages started elsewhere still have to be ready for their dependents
+        const readiness = await this.waitForReady(packageName);
+        if (!readiness.ready) {
+          result.failed = packageName;
+          result.error = readiness.details;
+          break;
+        }
+        result.alreadyRunning.push(packageName);
+        continue;
+      }
+
+      const plugin = pluginLoader.getPlugin(packageName);
+      const started = await this.startPackage(packageName, plugin, optionsByPackage[packageName] || {});
+      if (!started) {
+        result.failed = packageName;
+        result.error = `Failed to start ${packageName}`;
+        break;
+      }
+
+      // Tracked before the readiness wait so a package that never becomes ready is rolled back too
+      result.started.push(packageName);
+      this.setStarting(packageName, true);
+
+      const readiness = await this.waitForReady(packageName);
+      if (!readiness.ready) {
+        result.failed = packageName;
+        result.error = readiness.details;
+        break;
+      }
+      this.setStarting(packageName, false);
+      logger.info(`${packageName} is ready`);
+    }
+
+    if (result.failed) {
+      logger.error(`${result.failed} did not come up: ${result.error}`);
+      result.rolledBack = await this.rollback(result.started);
+      result.started = [];
+      return result;
+    }
+
+    result.success = true;
+    return result;
+  }
+
+  // Helper method to flag a package as waiting for readiness (reported by health checks)
+  setStarting(packageName, starting) {
+    const proc = this.processes.get(packageName);
+    if (!proc) {
+      return;
+    }
+
+    if (starting) {
+      proc.starting = true;
+    } else {
+      delete proc.starting;
+    }
+    this.persist(packageName);
+  }
+
+  // Helper method to stop packages started by a failed startPackages() call, dependents first
+  async rollback(packageNames) {
+    const rolledBack = [];
+    for (const packageName of packageNames.slice().reverse()) {
+      logger.info(`Rolling back ${packageName}...`);
+      if (await this.stopPackage(packageName)) {
+        rolledBack.push(packageName);
+      }
+    }
+    return rolledBack;
+  }
+
+  // Helper method to turn a plugin ready() return value into {ready, details}
+  normalizeReadyResult(result) {
+    if (typeof result === 'boolean') {
+      return { ready: result, details: result ? 'Ready' : 'Not ready yet' };
+    }
+
+    if (result && typeof result === 'object' && typeof result.ready === 'boolean') {
+      return { ready: result.ready, details: result.details || result.message || (result.ready ? 'Ready' : 'Not ready yet') };
+    }
+
+    // Accept health-style results ({status: 'healthy'}) as well
+    const health = this.normalizeHealthResult(result);
+    return { ready: health.status === 'healthy', details: health.details };
+  }
+
+  // Helper method to run one readiness probe: plugin ready(), then health(), then PID liveness
+  async probeReady(packageName, plugin, proc) {
+    if (!this.isProcessAlive(proc.pid)) {
+      return { ready: false, exited: true, details: 'Process exited before becoming ready' };
+    }
+
+    if (plugin && plugin.hasReady) {
+      try {
+        return this.normalizeReadyResult(await plugin.interface.ready(this, proc));
+      } catch (error) {
+        return { ready: false, details: error.message };
+      }
+    }
+
+    if (plugin && plugin.hasHealth) {
+      const health = await this.checkPackageHealth({ ...proc, starting: false });
+      return { ready: health.status === 'healthy', details: health.details };
+    }
+
+    return { ready: true, details: 'Process is running (no readiness probe available)' };
+  }
+
+  /**
+   * Wait until a started package reports ready
+   * @param {string} packageName - Package name
+   * @param {number} timeout - Maximum wait in ms (defaults to the plugin's readyTimeout or config)
+   * @returns {Promise<{ready: boolean, details: string}>} Readiness result
+   */
+  async waitForReady(packageName, timeout) {
+    const plugin = pluginLoader.getPlugin(packageName);
+    const waitTimeout = timeout || (plugin && plugin.readyTimeout) || config.startup.readyTimeout;
+    const deadline = Date.now() + waitTimeout;
+    let last = { ready: false, details: 'Not checked' };
+
+    while (true) {
+      const proc = this.processes.get(packageName);
+      if (!proc) {
+        return { ready: false, details: 'Package is not running' };
+      }
+
+      last = await this.probeReady(packageName, plugin, proc);
+      if (last.ready || last.exited) {
+        return last;
+      }
+
+      if (Date.now() >= deadline) {
+        return { ready: false, details: `Not ready after ${waitTimeout}ms (${last.details})` };
+      }
+
+      logger.debug(`Waiting for ${packageName} to become ready: ${last.details}`);
+      await new Promise(resolve => setTimeout(resolve, config.startup.readyInterval));
+    }
+  }
+
+  /**
+   * Stop a package and its child processes
+   * @param {string} packageName - Package name
+   * @returns {Promise<Object|null>} Termination report, or null when the package is not running
+   */
+  async stopPackage(packageName) {
+    const proc = this.processes.get(packageName);
+    if (!proc) {
+      logger.info(`Package ${packageName} is not running`);
+      return null;
+    }
+
+    logger.info(`Stopping ${packageName} (PID: ${proc.pid})...`);
+    // Unwatch first so the supervisor doesn't treat the stop as a crash
+    supervisor.unwatch(packageName);
+    if (!this.isProcessAlive(proc.pid)) {
+      logger.warn(`Process ${packageName} (PID: ${proc.pid}) was already dead or doesn't exist`);
+    }
+    const report = await this.terminatePackage(packageName, proc);
+
+    this.processes.delete(packageName);
+    this.ownedPackages.delete(packageName);
+    this.persist(packageName);
+    logger.info(`${packageName} stopped`);
+    return report;
+  }
+
+  async restartPackage(packageName, plugin) {
+    const proc = this.processes.get(packageName);
+    const options = (proc && proc.options) || {};
+
+    if (proc) {
+      await this.stopPackage(packageName);
+    }
+
+    return this.startPackage(packageName, plugin, options);
+  }
+
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0); // Signal 0 just checks if process exists
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  // Helper method to check that a tracked PID still belongs to the package process (PIDs get recycled)
+  isSameProcess(proc) {
+    if (!proc || !this.isProcessAlive(proc.pid)) {
+      return false;
+    }
+
+    if (!proc.pidStartTime) {
+      return true; // Entries from older state files have no start time
+    }
+
+    const startTime = processTree.getStartTime(proc.pid);
+    return startTime === null || Math.abs(startTime - proc.pidStartTime) <= START_TIME_TOLERANCE;
+  }
+
+  // Helper method to turn a plugin health() return value into {status, details}
+  normalizeHealthResult(result) {
+    if (typeof result === 'boolean') {
+      return result
+        ? { status: 'healthy', details: 'Health check passed' }
+        : { status: 'degraded', details: 'Health check failed' };
+    }
+
+    if (result && typeof result === 'object') {
+      let status = HEALTH_STATES.includes(result.status) ? result.status : null;
+      if (!status && typeof result.healthy === 'boolean') {
+        status = result.healthy ? 'healthy' : 'degraded';
+      }
+
+      return {
+        status: status || 'degraded',
+        details: result.details || result.message || (status ? null : 'Health check returned an unknown status')
+      };
+    }
+
+    return { status: 'degraded', details: 'Health check returned no result' };
+  }
+
+  async checkPackageHealth(proc) {
+    const startedAt = Date.now();
+    const report = {
+      ...proc,
+      checkedAt: new Date().toISOString(),
+      restarts: supervisor.getInfo(proc.name)
+    };
+
+    if (!this.isProcessAlive(proc.pid)) {
+      const details = supervisor.isRestartPending(proc.name)
+        ? `Process crashed, restart scheduled at ${new Date(report.restarts.pendingRestartAt).toLocaleTimeString()}`
+        : 'Process is not running';
+      return { ...report, status: 'down', details };
+    }
+
+    if (proc.starting) {
+      return { ...report, status: 'degraded', details: 'Starting (waiting for readiness)' };
+    }
+
+    const plugin = pluginLoader.getPlugin(proc.name);
+    if (!plugin || !plugin.hasHealth) {
+      return { ...report, status: 'healthy', details: 'Process is running (no health check available)' };
+    }
+
+    let timer;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Health check timed out after ${config.health.timeout}ms`)), config.health.timeout);
+      });
+      const result = await Promise.race([plugin.interface.health(this, proc), timeout]);
+
+      return { ...report, ...this.normalizeHealthResult(result), responseTime: Date.now() - startedAt };
+    } catch (error) {
+      return { ...report, status: 'degraded', details: error.message, responseTime: Date.now() - startedAt };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Check every tracked package: PID liveness plus the plugin's health() function
+   * @returns {Promise<Object>} Overall status, running count and per-package reports
+   */
+  async getHealth() {
+    const packages = await Promise.all(
+      Array.from(this.processes.values()).map(proc => this.checkPackageHealth(proc))
+    );
+
+    // Overall status is the worst package status
+    const worst = packages.reduce(
+      (current, pkg) => Math.max(current, HEALTH_STATES.indexOf(pkg.status)),
+      0
+    );
+
+    return {
+      status: HEALTH_STATES[worst],
+      running: packages.filter(pkg => pkg.status !== 'down').length,
+      packages
+    };
+  }
 
   getStatus() {
     const running = Array.from(this.processes.values());
@@ -132,22 +505,52 @@ class ProcessManager {
     };
   }
 
+  /**
+   * Stop all packages started by this process
+   * Safe to call repeatedly - concurrent callers (signal handlers) share one shutdown
+   * @returns {Promise<Array<Object>>} Termination reports
+   */
   cleanup() {
-    if (this.processes.size > 0) {
-      logger.info('Cleaning up processes...');
-      
-      // Kill all running processes by PID
-      for (const [name, proc] of this.processes) {
-        logger.info(`Stopping ${name} (PID: ${proc.pid})...`);
-        const killed = this.killProcessByPid(proc.pid);
-        if (!killed) {
-          logger.warn(`Process ${name} (PID: ${proc.pid}) was already dead or doesn't exist`);
-        }
-      }
-      
-      this.processes.clear();
-      this.saveState();
+    if (!this.cleanupPromise) {
+      this.cleanupPromise = this.terminateOwned().finally(() => {
+        this.cleanupPromise = null;
+      });
     }
+    return this.cleanupPromise;
+  }
+
+  async terminateOwned() {
+    // CLI commands like `zypin logs --follow` load the shared state too, so only
+    // kill packages this process started itself
+    const owned = Array.from(this.processes.entries())
+      .filter(([name]) => this.ownedPackages.has(name));
+
+    supervisor.unwatchAll();
+
+    if (owned.length === 0) {
+      return [];
+    }
+
+    logger.info('Cleaning up processes...');
+    const reports = await Promise.all(owned.map(([name, proc]) => {
+      logger.info(`Stopping ${name} (PID: ${proc.pid})...`);
+      return this.terminatePackage(name, proc);
+    }));
+
+    owned.forEach(([name]) => this.processes.delete(name));
+    this.ownedPackages.clear();
+    this.persist(...owned.map(([name]) => name));
+
+    const terminated = reports.reduce((count, report) => count + report.terminated.length, 0);
+    const killed = reports.reduce((count, report) => count + report.killed.length, 0);
+    const leftover = reports.reduce((all, report) => all.concat(report.leftover), []);
+    logger.info(`Terminated ${terminated} process(es) of ${reports.length} package(s)` +
+      (killed > 0 ? `, force-killed ${killed}` : ''));
+    if (leftover.length > 0) {
+      logger.error(`Left running: PIDs ${leftover.join(', ')}`);
+    }
+
+    return reports;
   }
 }
 
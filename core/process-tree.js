@@ -0,0 +1,158 @@
+/**
+ * Process tree termination for Zypin Framework
+ * Stops package processes together with their process groups and descendants
+ *
+ * TODO:
+ * - Find descendant processes (e.g. browser drivers spawned by a grid)
+ * - Send SIGTERM to whole process groups and descendants
+ * - Escalate to SIGKILL after a grace period
+ * - Report terminated, force-killed and leftover processes
+ * - Read process start times to detect recycled PIDs
+ */
+
+const { execFileSync } = require('child_process');
+const config = require('./config');
+
+const POLL_INTERVAL = 100;
+
+class ProcessTree {
+  isProcessAlive(pid) {
+    try {
+      process.kill(pid, 0); // Signal 0 just checks if process exists
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  // Helper method to list all processes as {pid, ppid, pgid} (empty where ps is unavailable)
+  listProcesses() {
+    if (process.platform === 'win32') {
+      return [];
+    }
+
+    try {
+      const output = execFileSync('ps', ['-A', '-o', 'pid=,ppid=,pgid='], { encoding: 'utf8' });
+      return output.split('\n')
+        .map(line => line.trim().split(/\s+/).map(Number))
+        .filter(([pid, ppid, pgid]) => pid && !Number.isNaN(ppid) && !Number.isNaN(pgid))
+        .map(([pid, ppid, pgid]) => ({ pid, ppid, pgid }));
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Get the start time of a process
+   * Tells a package process apart from an unrelated process that reused its PID
+   * @param {number} pid - Process ID
+   * @returns {number|null} Start time in ms since epoch, or null when unknown
+   */
+  getStartTime(pid) {
+    if (process.platform === 'win32') {
+      return null;
+    }
+
+    try {
+      const output = execFileSync('ps', ['-o', 'lstart=', '-p', String(pid)], {
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'ignore'],
+        env: { ...process.env, LC_ALL: 'C' }
+      });
+      const startTime = Date.parse(output.trim());
+      return Number.isNaN(startTime) ? null : startTime;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Collect a process, its descendants and the members of its process group
+   * Take the snapshot before signalling - orphaned grandchildren lose their parent link
+   * @param {number} pid - Root process ID
+   * @returns {{pid: number, pids: Array<number>, groupLeader: boolean}} Process tree snapshot
+   */
+  collect(pid) {
+    const processes = this.listProcesses();
+    const pids = new Set([pid]);
+
+    let added = true;
+    while (added) {
+      added = false;
+      for (const proc of processes) {
+        if (!pids.has(proc.pid) && pids.has(proc.ppid)) {
+          pids.add(proc.pid);
+          added = true;
+        }
+      }
+    }
+
+    // A root that leads its own group (spawned with detached: true) takes the whole group with it
+    const groupLeader = processes.some(proc => proc.pid === pid && proc.pgid === pid);
+    if (groupLeader) {
+      processes.filter(proc => proc.pgid === pid).forEach(proc => pids.add(proc.pid));
+    }
+
+    return { pid, pids: Array.from(pids), groupLeader };
+  }
+
+  // Helper method to signal a snapshot, returns the PIDs that were still alive
+  signal(tree, signal) {
+    if (tree.groupLeader) {
+      try {
+        process.kill(-tree.pid, signal);
+      } catch (error) {
+        // Group already gone
+      }
+    }
+
+    const alive = tree.pids.filter(pid => this.isProcessAlive(pid));
+    alive.forEach(pid => {
+      try {
+        process.kill(pid, signal);
+      } catch (error) {
+        // Exited in the meantime
+      }
+    });
+    return alive;
+  }
+
+  // Helper method to wait until every PID exits, returns the ones still alive
+  async waitForExit(pids, timeout) {
+    const deadline = Date.now() + timeout;
+    let alive = pids.filter(pid => this.isProcessAlive(pid));
+
+    while (alive.length > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL));
+      alive = alive.filter(pid => this.isProcessAlive(pid));
+    }
+
+    return alive;
+  }
+
+  /**
+   * Terminate a process tree: SIGTERM, wait for the grace period, then SIGKILL
+   * @param {Object} tree - Snapshot from collect()
+   * @param {Object} options - {gracePeriod} in ms
+   * @returns {Promise<{terminated: Array<number>, killed: Array<number>, leftover: Array<number>}>}
+   *   PIDs that exited after SIGTERM, PIDs that needed SIGKILL and PIDs still running
+   */
+  async terminate(tree, { gracePeriod = config.shutdown.gracePeriod } = {}) {
+    const signalled = this.signal(tree, 'SIGTERM');
+    const survivors = await this.waitForExit(signalled, gracePeriod);
+
+    let leftover = [];
+    if (survivors.length > 0) {
+      this.signal({ ...tree, pids: survivors }, 'SIGKILL');
+      leftover = await this.waitForExit(survivors, config.shutdown.killTimeout);
+    }
+
+    return {
+      terminated: signalled.filter(pid => !survivors.includes(pid)),
+      killed: survivors.filter(pid => !leftover.includes(pid)),
+      leftover
+    };
+  }
+}
+
+module.exports = new ProcessTree();
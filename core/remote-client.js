@@ -0,0 +1,266 @@
+/**
+ * HTTP client for remote Zypin servers
+ * Sends CLI requests to a Zypin server and reads streamed responses
+ *
+ * TODO:
+ * - Collect project files for upload to the server
+ * - Submit runs as server jobs and read their NDJSON event streams
+ * - Cancel queued and running jobs
+ * - Send package stop/restart and server shutdown requests
+ * - Stream package logs
+ * - Read the server's run history
+ * - Surface server errors as readable messages
+ * - Send bearer tokens to servers that require authentication
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const auth = require('./auth');
+
+class RemoteClient {
+  constructor() {
+    this.token = null;
+  }
+
+  // Token passed with --token; ZYPIN_TOKEN and the local token file are used otherwise
+  setToken(token) {
+    this.token = token || null;
+  }
+
+  // Helper method to build request headers for a server
+  buildHeaders(serverUrl, headers = {}) {
+    const token = auth.resolveClientToken(serverUrl, this.token);
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return headers;
+  }
+
+  /**
+   * Collect project files for upload, skipping ignored directories
+   * @param {string} projectDir - Project root directory
+   * @returns {Promise<Array<{path: string, content: string}>>} Files with base64 encoded content
+   */
+  async collectProjectFiles(projectDir) {
+    const files = [];
+    let totalSize = 0;
+
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+
+      for (const entry of entries) {
+        if (config.remote.ignore.includes(entry.name)) {
+          continue;
+        }
+
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (entry.isFile()) {
+          const content = await fs.readFile(fullPath);
+          totalSize += content.length;
+
+          if (totalSize > config.remote.maxUploadSize) {
+            throw new Error(`Project exceeds maximum upload size of ${config.remote.maxUploadSize} bytes`);
+          }
+
+          files.push({
+            // Always use forward slashes so the server can rebuild the tree on any OS
+            path: path.relative(projectDir, fullPath).split(path.sep).join('/'),
+            content: content.toString('base64')
+          });
+        }
+      }
+    };
+
+    await walk(projectDir);
+    return files;
+  }
+
+  // Helper method to build an Error from a failed response (status is kept for callers)
+  async readError(response) {
+    let message = `Server responded with status ${response.status}`;
+    try {
+      const body = await response.json();
+      message = body.message || body.error || message;
+    } catch (error) {
+      // Keep the generic message for non-JSON bodies
+    }
+
+    const error = new Error(message);
+    error.status = response.status;
+    return error;
+  }
+
+  // Helper method to read newline-delimited JSON events from a response body
+  async readEvents(response, onEvent) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).trim();
+        buffer = buffer.slice(newlineIndex + 1);
+        if (line) {
+          onEvent(JSON.parse(line));
+        }
+      }
+    }
+
+    if (buffer.trim()) {
+      onEvent(JSON.parse(buffer));
+    }
+  }
+
+  // Helper method to GET a server endpoint and return the parsed JSON body
+  async get(serverUrl, endpoint) {
+    const response = await fetch(`${serverUrl}${endpoint}`, {
+      headers: this.buildHeaders(serverUrl)
+    });
+
+    if (!response.ok) {
+      throw await this.readError(response);
+    }
+
+    return response.json();
+  }
+
+  // Helper method to POST to a server endpoint and return the parsed JSON body
+  async post(serverUrl, endpoint, body = {}) {
+    const response = await fetch(`${serverUrl}${endpoint}`, {
+      method: 'POST',
+      headers: this.buildHeaders(serverUrl, { 'Content-Type': 'application/json' }),
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw await this.readError(response);
+    }
+
+    return response.json();
+  }
+
+  getHealth(serverUrl) {
+    return this.get(serverUrl, '/api/health');
+  }
+
+  stopPackage(serverUrl, packageName) {
+    return this.post(serverUrl, `/api/packages/${encodeURIComponent(packageName)}/stop`);
+  }
+
+  restartPackage(serverUrl, packageName) {
+    return this.post(serverUrl, `/api/packages/${encodeURIComponent(packageName)}/restart`);
+  }
+
+  stopServer(serverUrl) {
+    return this.post(serverUrl, '/api/server/stop');
+  }
+
+  /**
+   * Stream a package's logs from a server
+   * @param {string} serverUrl - Zypin server URL
+   * @param {string} packageName - Package name
+   * @param {Object} options - Log options
+   * @param {number} options.lines - Number of existing lines to show
+   * @param {boolean} options.follow - Keep the stream open for new output
+   * @param {Function} options.onData - Called with each chunk of log text
+   * @returns {Promise<void>} Resolves when the server closes the stream
+   */
+  async streamLogs(serverUrl, packageName, { lines = 100, follow = false, onData }) {
+    const query = new URLSearchParams({ lines: String(lines), follow: String(follow) });
+    const response = await fetch(`${serverUrl}/api/packages/${encodeURIComponent(packageName)}/logs?${query}`, {
+      headers: this.buildHeaders(serverUrl)
+    });
+
+    if (!response.ok) {
+      throw await this.readError(response);
+    }
+
+    const decoder = new TextDecoder();
+    for await (const chunk of response.body) {
+      onData(decoder.decode(chunk, { stream: true }));
+    }
+  }
+
+  getRuns(serverUrl, filter = {}) {
+    const query = new URLSearchParams();
+    Object.entries(filter).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) query.set(key, String(value));
+    });
+    return this.get(serverUrl, `/api/runs?${query}`);
+  }
+
+  getRun(serverUrl, runId) {
+    return this.get(serverUrl, `/api/runs/${encodeURIComponent(runId)}`);
+  }
+
+  cancelJob(serverUrl, jobId) {
+    return this.post(serverUrl, `/api/jobs/${encodeURIComponent(jobId)}/cancel`);
+  }
+
+  /**
+   * Run tests on a remote Zypin server - the run is queued as a job and its events are followed
+   * @param {string} serverUrl - Zypin server URL
+   * @param {Object} payload - Run request ({package, template, inputFiles, cliParams, files})
+   * @param {Object} handlers - Event handlers
+   * @param {Function} handlers.onOutput - Called with (stream, data) for test output
+   * @param {Function} handlers.onQueued - Called with (position, jobId) while the job waits for a free slot
+   * @param {Function} handlers.onStarted - Called with (jobId) when the job starts running
+   * @param {AbortSignal} handlers.signal - Aborting cancels the job on the server
+   * @returns {Promise<Object>} Run result ({success, cancelled, message, jobId, runId, report})
+   */
+  async run(serverUrl, payload, { onOutput, onQueued, onStarted, signal } = {}) {
+    const { job } = await this.post(serverUrl, '/api/jobs', payload);
+
+    // The server sends the cancelled result on the event stream once the job has stopped
+    const cancel = () => this.cancelJob(serverUrl, job.id).catch(() => {});
+    if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+
+    try {
+      const response = await fetch(`${serverUrl}/api/jobs/${encodeURIComponent(job.id)}/events`, {
+        headers: this.buildHeaders(serverUrl)
+      });
+
+      if (!response.ok) {
+        throw await this.readError(response);
+      }
+
+      let result = null;
+      let runId = null;
+      let report = null;
+      await this.readEvents(response, (event) => {
+        if (event.type === 'queued' && onQueued) {
+          onQueued(event.position, job.id);
+        } else if (event.type === 'started' && onStarted) {
+          onStarted(job.id);
+        } else if (event.type === 'output' && onOutput) {
+          onOutput(event.stream, event.data);
+        } else if (event.type === 'report') {
+          report = event.report;
+        } else if (event.type === 'saved') {
+          runId = event.runId;
+        } else if (event.type === 'result') {
+          result = { success: event.success, cancelled: event.status === 'cancelled', message: event.message, jobId: job.id, runId, report };
+        }
+      });
+
+      if (!result) {
+        throw new Error(`Connection closed before job ${job.id} finished`);
+      }
+
+      return result;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+    }
+  }
+}
+
+module.exports = new RemoteClient();
@@ -0,0 +1,52 @@
+/**
+ * Console reporter for Zypin Framework
+ * Prints per-test results to the terminal when the plugin reported them
+ */
+
+const chalk = require('chalk');
+
+const TEST_ICONS = { passed: chalk.green('✓'), failed: chalk.red('✗'), skipped: chalk.gray('-') };
+
+// Helper function to format a duration in ms, e.g. 850ms or 12.3s
+function formatDuration(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Render a normalized report for the terminal
+ * @param {Object} report - Report from resultModel.normalize()
+ * @returns {string} Text to print (empty when the plugin reported no per-test details)
+ */
+function render(report) {
+  if (!report.hasTests) {
+    return '';
+  }
+
+  const lines = [''];
+  report.suites.forEach(suite => {
+    lines.push(chalk.bold(suite.name));
+    suite.tests.forEach(test => {
+      const duration = test.duration !== null ? chalk.gray(` (${formatDuration(test.duration)})`) : '';
+      lines.push(`  ${TEST_ICONS[test.status]} ${test.name}${duration}`);
+      if (test.error) {
+        lines.push(chalk.red(`      ${test.error.message.split('\n').join('\n      ')}`));
+      }
+      test.attachments.forEach(attachment => lines.push(chalk.gray(`      📎 ${attachment.path}`)));
+    });
+  });
+
+  const { stats } = report;
+  const summary = [chalk.green(`${stats.passed} passed`)];
+  if (stats.failed > 0) summary.push(chalk.red(`${stats.failed} failed`));
+  if (stats.skipped > 0) summary.push(chalk.gray(`${stats.skipped} skipped`));
+  lines.push('');
+  lines.push(`Tests: ${summary.join(', ')} (${stats.total} total)`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  name: 'console',
+  // Printed instead of written to --output
+  fileName: null,
+  render
+};
@@ -0,0 +1,240 @@
+/**
+ * HTML reporter for Zypin Framework
+ * Writes a single self-contained HTML file (styles, script and attachments inlined) that opens without a server
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Attachments above this size are listed but not embedded
+const MAX_EMBED_SIZE = 10 * 1024 * 1024;
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.zip': 'application/zip'
+};
+
+const STYLES = `
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; font-size: 14px; color: #1f2328; background: #f6f8fa; }
+header { padding: 16px 24px; background: #fff; border-bottom: 1px solid #d0d7de; }
+h1 { margin: 0 0 4px; font-size: 20px; }
+h2 { margin: 0 0 8px; font-size: 15px; }
+main { padding: 16px 24px; }
+.muted { color: #57606a; }
+.summary { display: flex; flex-wrap: wrap; gap: 12px; margin: 12px 0 0; }
+.card { min-width: 90px; padding: 8px 12px; background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 6px; }
+.card strong { display: block; font-size: 18px; }
+.filters { margin-bottom: 16px; }
+.filters button { padding: 4px 12px; margin-right: 4px; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; cursor: pointer; }
+.filters button.active { color: #fff; background: #0969da; border-color: #0969da; }
+section { margin-bottom: 16px; padding: 12px 16px; background: #fff; border: 1px solid #d0d7de; border-radius: 6px; }
+.test { padding: 6px 0; border-top: 1px solid #eaeef2; }
+.test:first-of-type { border-top: none; }
+.icon { display: inline-block; width: 18px; font-weight: 700; }
+.passed .icon, .card.passed strong { color: #1a7f37; }
+.failed .icon, .card.failed strong { color: #cf222e; }
+.skipped .icon, .card.skipped strong { color: #57606a; }
+.duration { float: right; color: #57606a; }
+.error { margin: 6px 0 0 18px; color: #cf222e; white-space: pre-wrap; }
+pre { margin: 6px 0 0 18px; padding: 8px; overflow: auto; font-size: 12px; color: #e6edf3; background: #0d1117; border-radius: 6px; white-space: pre-wrap; }
+details { margin: 6px 0 0 18px; }
+summary { cursor: pointer; color: #57606a; }
+.attachment img, .attachment video { max-width: 100%; margin-top: 6px; border: 1px solid #d0d7de; }
+body.only-passed .test:not(.passed), body.only-failed .test:not(.failed), body.only-skipped .test:not(.skipped) { display: none; }
+body.only-passed section:not(.has-passed), body.only-failed section:not(.has-failed), body.only-skipped section:not(.has-skipped) { display: none; }
+`;
+
+const SCRIPT = `
+document.querySelectorAll('.filters button').forEach(function (button) {
+  button.addEventListener('click', function () {
+    document.querySelectorAll('.filters button').forEach(function (other) { other.classList.remove('active'); });
+    button.classList.add('active');
+    document.body.className = button.dataset.status === 'all' ? '' : 'only-' + button.dataset.status;
+  });
+});
+`;
+
+const TEST_ICONS = { passed: '✓', failed: '✗', skipped: '−' };
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper function to format a duration in ms, e.g. 850ms, 12.3s, 4m 05s
+function formatDuration(ms) {
+  if (typeof ms !== 'number') return '';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+// Helper function to inline an attachment: images and videos are shown, text is printed, anything else is downloadable
+function renderAttachment(attachment, baseDir) {
+  const label = escapeHtml(attachment.name);
+
+  // Runs on a server keep their attachments there, a local file with the same path is a different file
+  if (!baseDir) {
+    return `<div class="attachment muted">📎 ${label} (not available: kept on the server, ${escapeHtml(attachment.path)})</div>`;
+  }
+
+  const filePath = path.resolve(baseDir, attachment.path);
+
+  let stats;
+  try {
+    stats = fs.statSync(filePath);
+  } catch (error) {
+    return `<div class="attachment muted">📎 ${label} (not available: ${escapeHtml(attachment.path)})</div>`;
+  }
+
+  if (stats.size > MAX_EMBED_SIZE) {
+    return `<div class="attachment muted">📎 ${label} (too large to embed: ${escapeHtml(attachment.path)})</div>`;
+  }
+
+  const contentType = attachment.contentType || CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  const content = fs.readFileSync(filePath);
+  const dataUrl = `data:${contentType};base64,${content.toString('base64')}`;
+
+  let body;
+  if (contentType.startsWith('image/')) {
+    body = `<img src="${dataUrl}" alt="${label}">`;
+  } else if (contentType.startsWith('video/')) {
+    body = `<video src="${dataUrl}" controls></video>`;
+  } else if (contentType.startsWith('text/') || contentType === 'application/json') {
+    body = `<pre>${escapeHtml(content.toString('utf8'))}</pre>`;
+  } else {
+    body = `<a href="${dataUrl}" download="${escapeHtml(path.basename(filePath))}">Download</a>`;
+  }
+
+  return `<details class="attachment" ${contentType.startsWith('image/') ? 'open' : ''}><summary>📎 ${label}</summary>${body}</details>`;
+}
+
+function renderTest(test, baseDir) {
+  const parts = [
+    `<div class="test ${test.status}">`,
+    `<span class="icon">${TEST_ICONS[test.status]}</span>${escapeHtml(test.name)}`,
+    `<span class="duration">${formatDuration(test.duration)}</span>`
+  ];
+
+  if (test.error) {
+    parts.push(`<div class="error">${escapeHtml(test.error.message)}</div>`);
+    if (test.error.stack && test.error.stack !== test.error.message) {
+      parts.push(`<details><summary>Stack trace</summary><pre>${escapeHtml(test.error.stack)}</pre></details>`);
+    }
+  }
+
+  test.attachments.forEach(attachment => parts.push(renderAttachment(attachment, baseDir)));
+  parts.push('</div>');
+  return parts.join('');
+}
+
+function renderSuite(suite, baseDir) {
+  const statuses = new Set(suite.tests.map(test => test.status));
+  const classes = Array.from(statuses).map(status => `has-${status}`).join(' ');
+
+  return [
+    `<section class="${classes}">`,
+    `<h2>${escapeHtml(suite.name)} <span class="muted">${formatDuration(suite.duration)}</span></h2>`,
+    ...suite.tests.map(test => renderTest(test, baseDir)),
+    '</section>'
+  ].join('\n');
+}
+
+function renderCard(label, value, className = '') {
+  return `<div class="card ${className}"><strong>${escapeHtml(value)}</strong><span class="muted">${escapeHtml(label)}</span></div>`;
+}
+
+/**
+ * Render a normalized report as a self-contained HTML page
+ * @param {Object} report - Report from resultModel.normalize()
+ * @param {Object} options - Render options
+ * @param {string|null} options.baseDir - Directory relative attachment paths are resolved against, null when they aren't on this machine
+ * @returns {string} HTML document
+ */
+function render(report, { baseDir = process.cwd() } = {}) {
+  const title = `${report.project || `${report.package}/${report.template}`} - Zypin test report`;
+  const { stats } = report;
+
+  let suites = report.suites;
+  if (!report.hasTests) {
+    // Plugins without per-test details: the whole run is one test
+    suites = [{
+      name: `${report.package}/${report.template}`,
+      duration: report.duration,
+      tests: [{
+        name: (report.inputs || []).join(', ') || 'Test run',
+        status: report.success ? 'passed' : 'failed',
+        duration: report.duration,
+        error: report.success ? null : { message: report.message || 'Test run failed', stack: null },
+        attachments: report.attachments || []
+      }]
+    }];
+  }
+
+  const counts = report.hasTests ? stats : {
+    total: 1,
+    passed: report.success ? 1 : 0,
+    failed: report.success ? 0 : 1,
+    skipped: 0
+  };
+
+  const started = report.startedAt ? new Date(report.startedAt).toLocaleString() : '';
+  const runAttachments = report.hasTests ? (report.attachments || []) : [];
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${report.success ? '✅' : '❌'} ${escapeHtml(report.project || 'Test report')}</h1>
+<div class="muted">${escapeHtml(`${report.package}/${report.template}`)}${report.shard ? ` · shard ${report.shard.index}/${report.shard.total}` : ''}${started ? ` · ${escapeHtml(started)}` : ''}</div>
+${report.message ? `<div>${escapeHtml(report.message)}</div>` : ''}
+<div class="summary">
+${renderCard('tests', counts.total)}
+${renderCard('passed', counts.passed, 'passed')}
+${renderCard('failed', counts.failed, 'failed')}
+${renderCard('skipped', counts.skipped, 'skipped')}
+${renderCard('duration', formatDuration(report.duration) || '-')}
+</div>
+</header>
+<main>
+<div class="filters">
+<button class="active" data-status="all">All (${counts.total})</button>
+<button data-status="failed">Failed (${counts.failed})</button>
+<button data-status="passed">Passed (${counts.passed})</button>
+<button data-status="skipped">Skipped (${counts.skipped})</button>
+</div>
+${suites.map(suite => renderSuite(suite, baseDir)).join('\n')}
+${runAttachments.length > 0 ? `<section><h2>Attachments</h2>${runAttachments.map(attachment => renderAttachment(attachment, baseDir)).join('')}</section>` : ''}
+</main>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  name: 'html',
+  fileName: 'report.html',
+  render
+};
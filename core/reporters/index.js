@@ -0,0 +1,80 @@
+/**
+ * Reporter registry for Zypin Framework
+ * Writes normalized run reports with the reporters selected by `zypin run --reporter`
+ *
+ * TODO:
+ * - Register the built-in console, JUnit XML, JSON, TAP and HTML reporters
+ * - Validate reporter names before a run starts
+ * - Write file reports into the output directory and print console reports
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+const REPORTERS = {
+  console: require('./console'),
+  junit: require('./junit'),
+  json: require('./json'),
+  tap: require('./tap'),
+  html: require('./html')
+};
+
+const DEFAULT_REPORTERS = ['console'];
+const DEFAULT_OUTPUT_DIR = 'zypin-reports';
+
+class Reporters {
+  getNames() {
+    return Object.keys(REPORTERS);
+  }
+
+  /**
+   * Resolve --reporter values (repeatable and comma separated) to reporter names
+   * @param {Array<string>} values - --reporter values
+   * @returns {{names: Array<string>, errors: Array<string>}} Unique reporter names and unknown-name errors
+   */
+  resolve(values = []) {
+    const requested = values
+      .flatMap(value => String(value).split(','))
+      .map(name => name.trim())
+      .filter(name => name);
+
+    const errors = requested
+      .filter(name => !REPORTERS[name])
+      .map(name => `Unknown reporter '${name}' (available: ${this.getNames().join(', ')})`);
+
+    const names = requested.length > 0 ? Array.from(new Set(requested)) : DEFAULT_REPORTERS;
+    return { names: names.filter(name => REPORTERS[name]), errors };
+  }
+
+  /**
+   * Write a report with each selected reporter
+   * @param {Object} report - Report from resultModel.normalize()
+   * @param {Array<string>} names - Reporter names from resolve()
+   * @param {string} outputDir - Directory for file reports (default: ./zypin-reports)
+   * @param {Object} options - Render options
+   * @param {string|null} options.baseDir - Directory relative attachment paths are resolved against (default: cwd),
+   *   null for results of a server run, whose attachments aren't on this machine
+   * @returns {Array<string>} Files written
+   */
+  write(report, names, outputDir = DEFAULT_OUTPUT_DIR, { baseDir = process.cwd() } = {}) {
+    const written = [];
+
+    names.forEach(name => {
+      const reporter = REPORTERS[name];
+      const content = reporter.render(report, { baseDir });
+
+      if (!reporter.fileName) {
+        process.stdout.write(content);
+        return;
+      }
+
+      const filePath = path.resolve(outputDir, reporter.fileName);
+      fs.outputFileSync(filePath, content);
+      written.push(filePath);
+    });
+
+    return written;
+  }
+}
+
+module.exports = new Reporters();
@@ -0,0 +1,21 @@
+/**
+ * JSON reporter for Zypin Framework
+ * Writes the normalized report as JSON for scripts and dashboards
+ */
+
+const REPORT_VERSION = 1;
+
+/**
+ * Render a normalized report as JSON
+ * @param {Object} report - Report from resultModel.normalize()
+ * @returns {string} JSON document
+ */
+function render(report) {
+  return JSON.stringify({ version: REPORT_VERSION, ...report }, null, 2) + '\n';
+}
+
+module.exports = {
+  name: 'json',
+  fileName: 'results.json',
+  render
+};
@@ -0,0 +1,122 @@
+/**
+ * JUnit XML reporter for Zypin Framework
+ * Writes reports in the JUnit XML format read by Jenkins, GitLab, GitHub Actions and most CI servers
+ */
+
+// Helper function to escape text for XML, dropping characters XML 1.0 can't contain
+function escapeXml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Helper function to format milliseconds as JUnit seconds
+function seconds(ms) {
+  return ((ms || 0) / 1000).toFixed(3);
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+    .join(' ');
+}
+
+function renderTest(test, suite) {
+  const testcase = `<testcase ${attributes({
+    name: test.name,
+    classname: suite.name,
+    file: test.file,
+    time: seconds(test.duration)
+  })}`;
+
+  if (test.status === 'passed' && test.attachments.length === 0) {
+    return `    ${testcase}/>`;
+  }
+
+  const lines = [`    ${testcase}>`];
+
+  if (test.status === 'failed') {
+    const error = test.error || { message: 'Test failed' };
+    lines.push(`      <failure ${attributes({ message: error.message, type: error.type })}>${escapeXml(error.stack || error.message)}</failure>`);
+  } else if (test.status === 'skipped') {
+    lines.push('      <skipped/>');
+  }
+
+  // Attachment convention understood by the Jenkins JUnit attachments plugin and GitLab
+  if (test.attachments.length > 0) {
+    const references = test.attachments.map(attachment => `[[ATTACHMENT|${attachment.path}]]`).join('\n');
+    lines.push(`      <system-out>${escapeXml(references)}</system-out>`);
+  }
+
+  lines.push('    </testcase>');
+  return lines.join('\n');
+}
+
+function renderSuite(suite, timestamp) {
+  const failures = suite.tests.filter(test => test.status === 'failed').length;
+  const skipped = suite.tests.filter(test => test.status === 'skipped').length;
+
+  return [
+    `  <testsuite ${attributes({
+      name: suite.name,
+      tests: suite.tests.length,
+      failures,
+      errors: 0,
+      skipped,
+      time: seconds(suite.duration),
+      timestamp,
+      file: suite.file
+    })}>`,
+    ...suite.tests.map(test => renderTest(test, suite)),
+    '  </testsuite>'
+  ].join('\n');
+}
+
+/**
+ * Render a normalized report as JUnit XML
+ * @param {Object} report - Report from resultModel.normalize()
+ * @returns {string} XML document
+ */
+function render(report) {
+  const name = report.project || `${report.package}/${report.template}`;
+  let suites = report.suites;
+
+  // Plugins without per-test details still give CI one test case that passes or fails with the run
+  if (!report.hasTests) {
+    suites = [{
+      name,
+      file: null,
+      duration: report.duration,
+      tests: [{
+        name: `${report.package}/${report.template}`,
+        file: null,
+        status: report.success ? 'passed' : 'failed',
+        duration: report.duration,
+        error: report.success ? null : { message: report.message || 'Test run failed', type: null, stack: null },
+        attachments: report.attachments
+      }]
+    }];
+  }
+
+  const tests = suites.reduce((sum, suite) => sum + suite.tests.length, 0);
+  const failures = suites.reduce((sum, suite) => sum + suite.tests.filter(test => test.status === 'failed').length, 0);
+  const skipped = suites.reduce((sum, suite) => sum + suite.tests.filter(test => test.status === 'skipped').length, 0);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites ${attributes({ name, tests, failures, errors: 0, skipped, time: seconds(report.duration) })}>`,
+    ...suites.map(suite => renderSuite(suite, report.startedAt)),
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  name: 'junit',
+  fileName: 'junit.xml',
+  render
+};
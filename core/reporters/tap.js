@@ -0,0 +1,87 @@
+/**
+ * TAP reporter for Zypin Framework
+ * Writes reports in the Test Anything Protocol (version 13) with YAML diagnostics for failures
+ */
+
+// Helper function to quote a value for the YAML diagnostics block
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+// Helper function to keep test names from breaking TAP lines ("#" starts a directive)
+function description(value) {
+  return String(value).replace(/\r?\n/g, ' ').replace(/#/g, '\\#');
+}
+
+function renderTest(test, number, prefix) {
+  const name = description(`${prefix}${test.name}`);
+  const lines = [];
+
+  if (test.status === 'skipped') {
+    lines.push(`ok ${number} - ${name} # SKIP`);
+  } else {
+    lines.push(`${test.status === 'passed' ? 'ok' : 'not ok'} ${number} - ${name}`);
+  }
+
+  if (test.status === 'failed' || test.attachments.length > 0) {
+    lines.push('  ---');
+    if (test.error) {
+      lines.push(`  message: ${yamlString(test.error.message)}`);
+      if (test.error.stack) {
+        lines.push('  stack: |');
+        test.error.stack.split('\n').forEach(line => lines.push(`    ${line}`));
+      }
+    }
+    if (test.duration !== null) {
+      lines.push(`  duration_ms: ${test.duration}`);
+    }
+    if (test.attachments.length > 0) {
+      lines.push('  attachments:');
+      test.attachments.forEach(attachment => lines.push(`    - ${yamlString(attachment.path)}`));
+    }
+    lines.push('  ...');
+  }
+
+  return lines;
+}
+
+/**
+ * Render a normalized report as TAP
+ * @param {Object} report - Report from resultModel.normalize()
+ * @returns {string} TAP document
+ */
+function render(report) {
+  const lines = ['TAP version 13'];
+
+  if (!report.hasTests) {
+    lines.push('1..1');
+    lines.push(...renderTest({
+      name: `${report.package}/${report.template}`,
+      status: report.success ? 'passed' : 'failed',
+      duration: report.duration,
+      error: report.success ? null : { message: report.message || 'Test run failed', stack: null },
+      attachments: report.attachments
+    }, 1, ''));
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(`1..${report.stats.total}`);
+  let number = 0;
+  report.suites.forEach(suite => {
+    suite.tests.forEach(test => {
+      number++;
+      lines.push(...renderTest(test, number, report.suites.length > 1 ? `${suite.name} › ` : ''));
+    });
+  });
+
+  lines.push(`# pass ${report.stats.passed}`);
+  lines.push(`# fail ${report.stats.failed}`);
+  lines.push(`# skip ${report.stats.skipped}`);
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  name: 'tap',
+  fileName: 'results.tap',
+  render
+};
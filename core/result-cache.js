@@ -0,0 +1,140 @@
+/**
+ * Latest test results per project for Zypin Framework
+ * Remembers the last result of every test file of a project, across runs of any subset of files
+ *
+ * TODO:
+ * - Keep one results file per project directory and template in the state directory
+ * - Update only the files a run executed, so partial runs don't forget older failures
+ * - Keep failed test names and file durations for later runs
+ * - List the failed files and tests for --last-failed
+ * - Provide file durations for balancing --parallel workers
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const winston = require('winston');
+const config = require('./config');
+
+// Setup logger
+const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+class ResultCache {
+  constructor() {
+    this.dir = config.results.dir;
+  }
+
+  // Helper method to get the results file of a project (a project directory can switch templates)
+  getResultsFile(baseDir, packageName, template) {
+    const key = crypto.createHash('sha1')
+      .update(`${path.resolve(baseDir)}\n${packageName}/${template}`)
+      .digest('hex')
+      .slice(0, 16);
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * Read a project's latest results
+   * @param {Object} project - Project ({baseDir, package, template})
+   * @returns {Object} Results ({baseDir, package, template, updatedAt, files: {file: {status, duration, failedTests}}})
+   */
+  load({ baseDir, package: packageName, template }) {
+    try {
+      return fs.readJsonSync(this.getResultsFile(baseDir, packageName, template));
+    } catch (error) {
+      return { baseDir: path.resolve(baseDir), package: packageName, template, updatedAt: null, files: {} };
+    }
+  }
+
+  /**
+   * Store the results of a run for the files it executed
+   * @param {Object} project - Project ({baseDir, package, template})
+   * @param {Object} report - Report from resultModel.normalize()
+   * @param {Array<string>} files - Test files the run executed
+   */
+  update(project, report, files) {
+    const results = this.load(project);
+    const byFile = new Map(files.map(file => [file, { status: 'passed', duration: null, failedTests: [] }]));
+    // Files whose tests were all skipped (e.g. stopped by --bail) tell nothing new about the file
+    const withTests = new Set();
+    const withRunTests = new Set();
+
+    if (report.hasTests) {
+      report.suites.forEach(suite => suite.tests.forEach(test => {
+        const file = test.file || suite.file;
+        if (!byFile.has(file)) {
+          // Tests the plugin couldn't attribute to an input file
+          if (test.status === 'failed') {
+            files.forEach(input => byFile.get(input).status = 'failed');
+          }
+          return;
+        }
+
+        const entry = byFile.get(file);
+        withTests.add(file);
+        if (test.status !== 'skipped') withRunTests.add(file);
+        entry.duration = (entry.duration || 0) + (test.duration || 0);
+        if (test.status === 'failed') {
+          entry.status = 'failed';
+          entry.failedTests.push(test.name);
+        }
+      }));
+    } else {
+      // Without per-test details every file of a failed run counts as failed, and files share the run time
+      byFile.forEach(entry => {
+        if (!report.success) entry.status = 'failed';
+        if (typeof report.duration === 'number') entry.duration = Math.round(report.duration / files.length);
+      });
+    }
+
+    byFile.forEach((entry, file) => {
+      if (withTests.has(file) && !withRunTests.has(file)) return;
+      // Keep the last known duration when this run didn't time the file
+      if (entry.duration === null && results.files[file]) {
+        entry.duration = results.files[file].duration;
+      }
+      results.files[file] = entry;
+    });
+    results.updatedAt = new Date().toISOString();
+
+    try {
+      fs.ensureDirSync(this.dir, { mode: 0o700 });
+      const resultsFile = this.getResultsFile(project.baseDir, project.package, project.template);
+      const tempFile = `${resultsFile}.${process.pid}.tmp`;
+      fs.writeJsonSync(tempFile, results, { spaces: 2 });
+      fs.renameSync(tempFile, resultsFile);
+    } catch (error) {
+      logger.warn(`Failed to save test results: ${error.message}`);
+    }
+  }
+
+  // Map of file to its last known duration in ms (files without per-test timings are left out)
+  getDurations(project) {
+    const { files } = this.load(project);
+    const durations = {};
+    Object.entries(files).forEach(([file, entry]) => {
+      if (typeof entry.duration === 'number') durations[file] = entry.duration;
+    });
+    return durations;
+  }
+
+  /**
+   * Get the tests that failed the last time they ran
+   * @param {Object} project - Project ({baseDir, package, template})
+   * @returns {{files: Array<string>, tests: Array<{file: string, name: string}>}} Failed files (sorted) and failed test names
+   */
+  getFailed(project) {
+    const { files } = this.load(project);
+    const failedFiles = Object.keys(files).filter(file => files[file].status === 'failed').sort();
+    return {
+      files: failedFiles,
+      tests: failedFiles.flatMap(file => files[file].failedTests.map(name => ({ file, name })))
+    };
+  }
+}
+
+module.exports = new ResultCache();
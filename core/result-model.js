@@ -0,0 +1,239 @@
+/**
+ * Normalized test result model for Zypin Framework
+ * Turns whatever a plugin's run() returns into suites and tests that reporters and the history understand
+ *
+ * TODO:
+ * - Accept suites ({name, file, tests}) or a flat tests list grouped by file
+ * - Normalize test status, duration, errors and attachments
+ * - Count passed, failed and skipped tests
+ * - Keep plain {success, message} results working (no per-test details)
+ * - Rebuild reports from saved runs
+ * - Merge the reports of sharded runs
+ */
+
+const path = require('path');
+
+const STATUS_ALIASES = {
+  passed: 'passed',
+  pass: 'passed',
+  ok: 'passed',
+  failed: 'failed',
+  fail: 'failed',
+  error: 'failed',
+  broken: 'failed',
+  timedOut: 'failed',
+  skipped: 'skipped',
+  skip: 'skipped',
+  pending: 'skipped',
+  todo: 'skipped'
+};
+
+class ResultModel {
+  // Helper method to map plugin statuses (pass, pending, timedOut, ...) to passed, failed or skipped
+  normalizeStatus(test) {
+    if (STATUS_ALIASES[test.status]) return STATUS_ALIASES[test.status];
+    if (test.skipped) return 'skipped';
+    if (test.passed === false || test.error) return 'failed';
+    return 'passed';
+  }
+
+  normalizeError(error) {
+    if (!error) {
+      return null;
+    }
+    if (typeof error === 'string') {
+      return { message: error, type: null, stack: null };
+    }
+    return {
+      message: String(error.message || error),
+      type: error.type || error.name || null,
+      stack: error.stack || null
+    };
+  }
+
+  normalizeAttachments(attachments) {
+    if (!Array.isArray(attachments)) {
+      return [];
+    }
+
+    return attachments
+      .filter(attachment => attachment && (attachment.path || typeof attachment === 'string'))
+      .map(attachment => {
+        const filePath = typeof attachment === 'string' ? attachment : attachment.path;
+        return {
+          name: attachment.name || path.basename(filePath),
+          path: filePath,
+          contentType: attachment.contentType || null
+        };
+      });
+  }
+
+  normalizeTest(test, suite) {
+    return {
+      name: String(test.name || test.title || 'unnamed test'),
+      file: test.file || suite.file || null,
+      status: this.normalizeStatus(test),
+      duration: typeof test.duration === 'number' ? test.duration : null,
+      error: this.normalizeError(test.error),
+      attachments: this.normalizeAttachments(test.attachments)
+    };
+  }
+
+  // Helper method to build suites from a plugin result: explicit suites, or flat tests grouped by file
+  collectSuites(result) {
+    if (Array.isArray(result.suites)) {
+      return result.suites.filter(suite => suite && typeof suite === 'object');
+    }
+
+    if (!Array.isArray(result.tests)) {
+      return [];
+    }
+
+    const byFile = new Map();
+    result.tests
+      .filter(test => test && typeof test === 'object')
+      .forEach(test => {
+        const file = test.file || null;
+        if (!byFile.has(file)) {
+          byFile.set(file, { name: file || 'tests', file, tests: [] });
+        }
+        byFile.get(file).tests.push(test);
+      });
+    return Array.from(byFile.values());
+  }
+
+  countTests(suites) {
+    const stats = { total: 0, passed: 0, failed: 0, skipped: 0 };
+    suites.forEach(suite => suite.tests.forEach(test => {
+      stats.total++;
+      stats[test.status]++;
+    }));
+    return stats;
+  }
+
+  /**
+   * Normalize a plugin run result
+   * @param {Object} result - Plugin result ({success, message, suites|tests, attachments}), may be null
+   * @param {Object} context - Run context ({project, package, template, inputs, startedAt, duration, shard})
+   * @returns {Object} Report ({...context, success, message, hasTests, stats, suites})
+   */
+  normalize(result, context = {}) {
+    const source = result && typeof result === 'object' ? result : {};
+
+    const suites = this.collectSuites(source).map(suite => {
+      const normalized = {
+        name: String(suite.name || suite.file || 'tests'),
+        file: suite.file || null,
+        duration: null,
+        tests: []
+      };
+      normalized.tests = (Array.isArray(suite.tests) ? suite.tests : [])
+        .filter(test => test && typeof test === 'object')
+        .map(test => this.normalizeTest(test, normalized));
+      normalized.duration = typeof suite.duration === 'number'
+        ? suite.duration
+        : normalized.tests.reduce((sum, test) => sum + (test.duration || 0), 0);
+      return normalized;
+    });
+
+    const stats = this.countTests(suites);
+    return {
+      project: context.project || null,
+      package: context.package || null,
+      template: context.template || null,
+      inputs: context.inputs || [],
+      startedAt: context.startedAt ? new Date(context.startedAt).toISOString() : null,
+      duration: typeof context.duration === 'number' ? context.duration : null,
+      shard: context.shard || null,
+      success: !!source.success,
+      message: source.message || null,
+      hasTests: stats.total > 0,
+      stats,
+      suites,
+      attachments: this.normalizeAttachments(source.attachments)
+    };
+  }
+
+  /**
+   * Rebuild a report from a run saved in the history
+   * @param {Object} run - Run from runHistory.get()
+   * @returns {Object} Report in the same shape as normalize() returns
+   */
+  fromRun(run) {
+    return {
+      project: run.project,
+      package: run.package,
+      template: run.template,
+      inputs: run.inputs,
+      startedAt: run.startedAt,
+      duration: run.duration,
+      shard: null,
+      success: run.result === 'passed',
+      message: run.message,
+      hasTests: !!run.suites,
+      stats: run.stats || this.countTests([]),
+      suites: run.suites || [],
+      attachments: run.attachments || []
+    };
+  }
+
+  /**
+   * Merge the reports of several runs (e.g. the shards of one CI build) into one report
+   * @param {Array<Object>} reports - Reports as written by the JSON reporter
+   * @returns {Object} Merged report
+   */
+  merge(reports) {
+    const first = reports[0];
+    const hasTests = reports.some(report => report.hasTests);
+
+    const suites = [];
+    reports.forEach(report => {
+      if (report.hasTests) {
+        suites.push(...report.suites);
+      } else if (hasTests && (report.inputs || []).length > 0) {
+        // Keep runs without per-test details visible next to the others (empty shards ran nothing)
+        suites.push({
+          name: (report.inputs || []).join(', ') || 'tests',
+          file: null,
+          duration: report.duration,
+          tests: [{
+            name: report.message || 'Test run',
+            file: null,
+            status: report.success ? 'passed' : 'failed',
+            duration: report.duration,
+            error: report.success ? null : { message: report.message || 'Test run failed', type: null, stack: null },
+            attachments: []
+          }]
+        });
+      }
+    });
+
+    // Shards run side by side, so the merged run lasts from the first start to the last finish
+    const timed = reports.filter(report => report.startedAt && typeof report.duration === 'number');
+    const start = timed.length > 0 ? Math.min(...timed.map(report => Date.parse(report.startedAt))) : null;
+    const end = timed.length > 0 ? Math.max(...timed.map(report => Date.parse(report.startedAt) + report.duration)) : null;
+
+    const stats = this.countTests(suites);
+    const success = reports.every(report => report.success);
+    const failedRuns = reports.filter(report => !report.success).length;
+    return {
+      project: first.project || null,
+      package: first.package || null,
+      template: first.template || null,
+      inputs: reports.flatMap(report => report.inputs || []),
+      startedAt: start !== null ? new Date(start).toISOString() : null,
+      duration: start !== null ? end - start : null,
+      shard: null,
+      success,
+      message: hasTests
+        ? `${stats.passed} of ${stats.total} tests passed in ${reports.length} merged reports`
+        : `${reports.length - failedRuns} of ${reports.length} merged runs passed`,
+      hasTests,
+      stats,
+      suites,
+      attachments: reports.flatMap(report => report.attachments || [])
+    };
+  }
+}
+
+module.exports = new ResultModel();
@@ -0,0 +1,239 @@
+/**
+ * Run history for Zypin Framework
+ * Saves every test run (local and server) in the per-user state directory
+ *
+ * TODO:
+ * - Record runs with project, template, CLI params, inputs, duration and result
+ * - Keep per-test details when the plugin reports them
+ * - List runs newest first with filters (package, template, project, result, since)
+ * - Look up runs by ID or unique ID prefix
+ * - Apply the retention policy (maximum number of runs and maximum age)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const winston = require('winston');
+const config = require('./config');
+const resultModel = require('./result-model');
+
+// Setup logger
+const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const RUN_RESULTS = ['passed', 'failed', 'cancelled', 'error'];
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+class RunHistory {
+  constructor() {
+    this.dir = config.history.dir;
+  }
+
+  // Helper method to build a sortable, readable run ID, e.g. 20261019-174956-3fa2c1
+  createId(date) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  getRunFile(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  // Helper method to map a plugin's result to passed, failed, cancelled or error
+  getResult(result) {
+    if (!result) return 'error';
+    if (result.cancelled) return 'cancelled';
+    return result.success ? 'passed' : 'failed';
+  }
+
+  /**
+   * Save a finished run
+   * @param {Object} run - Run details
+   * @param {string} run.source - Where the run executed: 'local' or 'server'
+   * @param {string} run.project - Project name from package.json
+   * @param {string} run.package - Package that executed the run
+   * @param {string} run.template - Template name
+   * @param {Array<string>} run.inputs - Input files
+   * @param {Object} run.cliParams - CLI parameters passed to the plugin
+   * @param {Date} run.startedAt - When the run started
+   * @param {Object} run.result - Plugin result ({success, cancelled, message, suites|tests}), or null when it threw
+   * @param {string} run.error - Error message when the run failed to execute
+   * @param {string} run.jobId - Server job ID for server runs
+   * @param {string} run.baseDir - Project directory of local runs
+   * @returns {Object|null} The saved record, or null when it couldn't be written
+   */
+  record({ source, project, package: packageName, template, inputs, cliParams, startedAt, result, error, jobId, baseDir }) {
+    const finishedAt = new Date();
+    const report = resultModel.normalize(result);
+    const record = {
+      id: this.createId(startedAt),
+      source,
+      project: project || null,
+      package: packageName,
+      template,
+      inputs: inputs || [],
+      cliParams: cliParams || {},
+      result: error ? 'error' : this.getResult(result),
+      message: error || (result && result.message) || null,
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      duration: finishedAt - startedAt,
+      jobId: jobId || null,
+      // Per-test details, only when the plugin reported them
+      stats: report.hasTests ? report.stats : null,
+      suites: report.hasTests ? report.suites : null,
+      attachments: report.attachments,
+      // Relative attachment paths are resolved against this directory by `zypin report`
+      baseDir: baseDir || null
+    };
+
+    try {
+      fs.ensureDirSync(this.dir, { mode: 0o700 });
+      const runFile = this.getRunFile(record.id);
+      const tempFile = `${runFile}.${process.pid}.tmp`;
+      fs.writeJsonSync(tempFile, record, { spaces: 2 });
+      fs.renameSync(tempFile, runFile);
+    } catch (writeError) {
+      logger.warn(`Failed to save run history: ${writeError.message}`);
+      return null;
+    }
+
+    this.prune();
+    return record;
+  }
+
+  // Helper method to list run IDs newest first (IDs sort by start time)
+  listIds() {
+    try {
+      return fs.readdirSync(this.dir)
+        .filter(fileName => fileName.endsWith('.json'))
+        .map(fileName => fileName.slice(0, -'.json'.length))
+        .sort()
+        .reverse();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  // Helper method to read one run file, skipping files removed or half written by another invocation
+  readRun(id) {
+    try {
+      return fs.readJsonSync(this.getRunFile(id));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Helper method to drop per-test details for list output
+  summarize(run) {
+    const { suites, ...summary } = run;
+    return summary;
+  }
+
+  /**
+   * Parse a --since value: an ISO date/time or a duration ago such as 30m, 12h or 7d
+   * @param {string} value - Since value
+   * @returns {Date} Cut-off date
+   */
+  parseSince(value) {
+    const duration = /^(\d+)([mhd])$/.exec(String(value).trim());
+    if (duration) {
+      return new Date(Date.now() - parseInt(duration[1]) * DURATION_UNITS[duration[2]]);
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`Invalid since value '${value}' (use a date like 2026-01-31 or a duration like 30m, 12h, 7d)`);
+    }
+    return date;
+  }
+
+  /**
+   * Validate history filters from the CLI or API query
+   * @param {Object} filter - Raw filter ({package, template, project, result, since, limit})
+   * @returns {Object} Normalized filter
+   */
+  normalizeFilter(filter = {}) {
+    if (filter.result && !RUN_RESULTS.includes(filter.result)) {
+      throw new Error(`Invalid result '${filter.result}' (use one of: ${RUN_RESULTS.join(', ')})`);
+    }
+
+    const limit = filter.limit !== undefined ? parseInt(filter.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit '${filter.limit}' (use a positive number)`);
+    }
+
+    return {
+      package: filter.package || null,
+      template: filter.template || null,
+      project: filter.project || null,
+      baseDir: filter.baseDir ? path.resolve(filter.baseDir) : null,
+      result: filter.result || null,
+      since: filter.since ? this.parseSince(filter.since) : null,
+      limit
+    };
+  }
+
+  /**
+   * List saved runs, newest first, without per-test details
+   * @param {Object} filter - Filter ({package, template, project, baseDir, result, since, limit})
+   * @returns {Array<Object>} Matching runs
+   */
+  list(filter = {}) {
+    const { package: packageName, template, project, baseDir, result, since, limit } = this.normalizeFilter(filter);
+    const runs = [];
+
+    for (const id of this.listIds()) {
+      const run = this.readRun(id);
+      if (!run) continue;
+
+      // IDs are sorted by start time, so everything after this is older
+      if (since && new Date(run.startedAt) < since) break;
+
+      if (packageName && run.package !== packageName) continue;
+      if (template && run.template !== template) continue;
+      if (project && run.project !== project) continue;
+      if (baseDir && (!run.baseDir || path.resolve(run.baseDir) !== baseDir)) continue;
+      if (result && run.result !== result) continue;
+
+      runs.push(this.summarize(run));
+      if (runs.length >= limit) break;
+    }
+
+    return runs;
+  }
+
+  /**
+   * Get a saved run with per-test details
+   * @param {string} id - Run ID or a unique prefix of one
+   * @returns {Object|null} The run, or null when no run matches
+   */
+  get(id) {
+    const matches = this.listIds().filter(runId => runId.startsWith(id));
+    if (matches.length > 1 && !matches.includes(id)) {
+      throw new Error(`Run ID '${id}' is ambiguous (${matches.length} runs match)`);
+    }
+    return matches.length > 0 ? this.readRun(matches.includes(id) ? id : matches[0]) : null;
+  }
+
+  // Apply the retention policy: keep at most maxRuns runs, none older than maxAgeDays
+  prune() {
+    const { maxRuns, maxAgeDays } = config.history;
+    const cutoff = maxAgeDays > 0 ? this.createId(new Date(Date.now() - maxAgeDays * DURATION_UNITS.d)) : null;
+
+    this.listIds().forEach((id, index) => {
+      if ((maxRuns > 0 && index >= maxRuns) || (cutoff && id < cutoff)) {
+        try {
+          fs.removeSync(this.getRunFile(id));
+        } catch (error) {
+          // Removed by another invocation
+        }
+      }
+    });
+  }
+}
+
+module.exports = new RunHistory();
@@ -0,0 +1,48 @@
+/**
+ * Worker process entry point for Zypin test execution
+ * Loads a plugin and calls its run() function in an isolated child process
+ *
+ * TODO:
+ * - Receive run requests from the parent over IPC
+ * - Load the requested plugin and execute its run() function
+ * - Send the run result back to the parent process
+ * - Report plugin errors as failed results instead of crashing silently
+ */
+
+// Helper function to send a message and exit once it has been delivered
+function sendAndExit(message, exitCode) {
+  process.send(message, () => process.exit(exitCode));
+}
+
+process.on('message', async (message) => {
+  if (!message || message.type !== 'run') {
+    return;
+  }
+
+  try {
+    const pluginLoader = require('./plugin-loader');
+    const plugin = pluginLoader.getPlugin(message.packageName);
+
+    if (!plugin || !plugin.hasRun) {
+      sendAndExit({
+        type: 'result',
+        result: {
+          success: false,
+          message: `Package '${message.packageName}' does not support test execution`
+        }
+      }, 1);
+      return;
+    }
+
+    const result = await plugin.interface.run(message.inputFiles, message.cliParams || {});
+    sendAndExit({ type: 'result', result: result || { success: false, message: 'No result returned' } }, 0);
+  } catch (error) {
+    sendAndExit({
+      type: 'result',
+      result: {
+        success: false,
+        message: `Test execution failed: ${error.message}`
+      }
+    }, 1);
+  }
+});
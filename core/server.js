@@ -4,14 +4,38 @@
  * 
  * TODO:
  * - Create Express server with health and stop endpoints
+ * - Execute test runs for remote CLI clients and stream their output
+ * - Stop and restart individual packages on request
+ * - Require bearer token authentication when a token is configured
+ * - Reject cross-site requests to state-changing endpoints (CSRF)
+ * - Stream captured package logs
  * - Integrate with existing process-manager for package operations
  * - Handle server lifecycle (start/stop/status)
  * - Provide HTTP interface for CLI commands
  * - Add error handling and logging
+ * - Listen on a configurable host/port and explain port conflicts
+ * - Expose Prometheus metrics when enabled
+ * - Serve the built-in web dashboard and the package/run APIs it uses
+ * - Queue remote runs as jobs with per-package concurrency limits
  */
 
 const express = require('express');
+const path = require('path');
 const processManager = require('./process-manager');
+const pluginLoader = require('./plugin-loader');
+const templateScanner = require('./template-scanner');
+const testRunner = require('./test-runner');
+const workerPool = require('./worker-pool');
+const testFilter = require('./test-filter');
+const auth = require('./auth');
+const daemon = require('./daemon');
+const logStore = require('./log-store');
+const metrics = require('./metrics');
+const jobQueue = require('./job-queue');
+const dependencyResolver = require('./dependency-resolver');
+const optionSchema = require('./option-schema');
+const runHistory = require('./run-history');
+const resultModel = require('./result-model');
 const winston = require('winston');
 const config = require('./config');
 
@@ -26,10 +50,107 @@ class ZypinServer {
   constructor() {
     this.app = null;
     this.server = null;
-    this.port = 8421;
+    this.port = config.server.port;
+    this.host = config.server.host;
+    this.metricsEnabled = config.metrics.enabled;
+    this.token = null;
     this.isRunning = false;
   }
 
+  // Override the configured port/host (from --port/--host or zypin.config.js)
+  configure({ port, host, metrics: metricsEnabled, concurrency, packageConcurrency } = {}) {
+    if (port) this.port = port;
+    if (host) this.host = host;
+    if (metricsEnabled !== undefined) this.metricsEnabled = metricsEnabled;
+    jobQueue.configure({ concurrency, packages: packageConcurrency });
+  }
+
+  // Helper method to record request counts and latencies per route (pattern, not raw URL)
+  trackRequest(req, res, next) {
+    const startedAt = process.hrtime.bigint();
+    res.once('close', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      metrics.recordRequest(req.method, route, res.statusCode, seconds);
+    });
+    next();
+  }
+
+  getServerUrl() {
+    return daemon.formatUrl(this.host, this.port);
+  }
+
+  // Helper method to explain who holds the port when listening fails with EADDRINUSE
+  async describePortConflict() {
+    const address = this.host ? `${this.host}:${this.port}` : `Port ${this.port}`;
+    const owner = await this.status(this.getServerUrl());
+
+    if (owner.isRunning) {
+      const instance = owner.instance ? ` (instance '${owner.instance}')` : '';
+      return `${address} is already used by another Zypin server${instance}`;
+    }
+    return `${address} is already in use by another process`;
+  }
+
+  // Require this token on all API requests (null disables authentication)
+  setToken(token) {
+    this.token = token || null;
+  }
+
+  authenticate(req, res, next) {
+    if (!this.token) {
+      next();
+      return;
+    }
+
+    const provided = auth.parseBearer(req.get('Authorization'));
+    if (auth.verifyToken(this.token, provided)) {
+      next();
+      return;
+    }
+
+    logger.warn(`Rejected unauthenticated request: ${req.method} ${req.originalUrl}`);
+    res.set('WWW-Authenticate', 'Bearer realm="zypin"');
+    res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: provided ? 'Invalid API token' : 'This server requires an API token'
+    });
+  }
+
+  // Helper method to block cross-site form posts and fetches: mutating API requests must be JSON
+  // (or carry X-Zypin-Client), which browsers only send cross-site after a CORS preflight we never answer
+  checkCrossSite(req, res, next) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+      next();
+      return;
+    }
+
+    const origin = req.get('Origin');
+    let sameOrigin = true;
+    if (origin) {
+      try {
+        sameOrigin = new URL(origin).host === req.get('Host');
+      } catch (error) {
+        sameOrigin = false;
+      }
+    }
+
+    if (sameOrigin && (req.is('application/json') || req.get('X-Zypin-Client'))) {
+      next();
+      return;
+    }
+
+    logger.warn(`Rejected cross-site request: ${req.method} ${req.originalUrl}${origin ? ` from ${origin}` : ''}`);
+    res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: sameOrigin
+        ? 'API requests that change state must send a JSON body or an X-Zypin-Client header'
+        : `Cross-site requests from ${origin} are not allowed`
+    });
+  }
+
   createServer() {
     if (this.app) {
       return this.app;
@@ -37,13 +158,38 @@ class ZypinServer {
 
     this.app = express();
 
-    // Middleware
-    this.app.use(express.json());
+    if (this.metricsEnabled) {
+      this.app.use((req, res, next) => this.trackRequest(req, res, next));
+    }
+
+    // Middleware (uploads are base64 encoded, so allow for the encoding overhead)
+    this.app.use(express.json({ limit: Math.ceil(config.remote.maxUploadSize * 1.4) }));
+    this.app.use('/api', (req, res, next) => this.authenticate(req, res, next));
+    this.app.use('/api', (req, res, next) => this.checkCrossSite(req, res, next));
+
+    // Prometheus metrics endpoint - requires the API token like every other endpoint
+    if (this.metricsEnabled) {
+      this.app.get(config.metrics.path, (req, res, next) => this.authenticate(req, res, next), async (req, res) => {
+        try {
+          const health = await processManager.getHealth();
+          res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+          res.send(metrics.render(health));
+        } catch (error) {
+          logger.error(`Metrics endpoint error: ${error.message}`);
+          res.status(500).send(`# Failed to collect metrics: ${error.message}\n`);
+        }
+      });
+    }
 
-    // Health endpoint
-    this.app.get('/api/health', (req, res) => {
+    // Ping endpoint - cheap liveness check used by CLI status probes
+    this.app.get('/api/ping', (req, res) => {
+      res.json({ success: true, instance: config.instance });
+    });
+
+    // Health endpoint - runs PID and plugin health checks for every package
+    this.app.get('/api/health', async (req, res) => {
       try {
-        const status = processManager.getStatus();
+        const status = await processManager.getHealth();
         res.json(status);
       } catch (error) {
         logger.error(`Health endpoint error: ${error.message}`);
@@ -54,10 +200,489 @@ class ZypinServer {
       }
     });
 
+    // Package list endpoint - installed packages with capabilities and running state
+    this.app.get('/api/packages', (req, res) => {
+      const packages = pluginLoader.getPlugins().map(plugin => {
+        const proc = processManager.processes.get(plugin.name);
+        const running = processManager.isSameProcess(proc);
+        return {
+          name: plugin.name,
+          version: plugin.interface.version,
+          canStart: plugin.hasStart,
+          canRun: plugin.hasRun,
+          templates: plugin.templates,
+          dependencies: plugin.dependencies,
+          running,
+          pid: running ? proc.pid : null
+        };
+      });
+      res.json({ packages });
+    });
+
+    // Package start endpoint - starts dependencies first; body: {options} for the package itself
+    this.app.post('/api/packages/:name/start', async (req, res) => {
+      const packageName = req.params.name;
+      const plugin = pluginLoader.getPlugin(packageName);
+
+      if (!plugin || !plugin.hasStart) {
+        res.status(404).json({
+          success: false,
+          error: 'Package not available',
+          message: `Package '${packageName}' is not installed on the server or does not support start functionality`
+        });
+        return;
+      }
+
+      if (processManager.isSameProcess(processManager.processes.get(packageName))) {
+        res.status(409).json({
+          success: false,
+          error: 'Package already running',
+          message: `Package '${packageName}' is already running`
+        });
+        return;
+      }
+
+      const { order, errors: dependencyErrors } = dependencyResolver.resolve([packageName]);
+      const { optionsByPackage, errors } = this.resolveStartOptions(order, packageName, (req.body && req.body.options) || {});
+      errors.unshift(...dependencyErrors);
+      if (errors.length > 0) {
+        res.status(400).json({
+          success: false,
+          error: 'Invalid start request',
+          message: errors.join('; ')
+        });
+        return;
+      }
+
+      try {
+        const result = await processManager.startPackages([packageName], optionsByPackage);
+        if (!result.success) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to start package',
+            message: `${result.failed || packageName} did not come up: ${result.error}`,
+            rolledBack: result.rolledBack
+          });
+          return;
+        }
+
+        res.json({ success: true, message: `Package '${packageName}' started`, started: result.started });
+      } catch (error) {
+        logger.error(`Start endpoint error: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to start package',
+          message: error.message
+        });
+      }
+    });
+
+    // Package stop endpoint
+    this.app.post('/api/packages/:name/stop', async (req, res) => {
+      const packageName = req.params.name;
+      try {
+        const report = await processManager.stopPackage(packageName);
+        if (!report) {
+          res.status(404).json({
+            success: false,
+            error: 'Package not running',
+            message: `Package '${packageName}' is not running`
+          });
+          return;
+        }
+
+        res.json({
+          success: true,
+          message: `Package '${packageName}' stopped`,
+          terminated: report.terminated,
+          killed: report.killed,
+          leftover: report.leftover
+        });
+      } catch (error) {
+        logger.error(`Stop endpoint error: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to stop package',
+          message: error.message
+        });
+      }
+    });
+
+    // Package restart endpoint
+    this.app.post('/api/packages/:name/restart', async (req, res) => {
+      const packageName = req.params.name;
+      const plugin = pluginLoader.getPlugin(packageName);
+
+      if (!plugin || !plugin.hasStart) {
+        res.status(404).json({
+          success: false,
+          error: 'Package not available',
+          message: `Package '${packageName}' is not installed on the server or does not support start functionality`
+        });
+        return;
+      }
+
+      try {
+        const started = await processManager.restartPackage(packageName, plugin);
+        if (!started) {
+          res.status(500).json({
+            success: false,
+            error: 'Failed to restart package',
+            message: `Package '${packageName}' could not be started`
+          });
+          return;
+        }
+
+        res.json({ success: true, message: `Package '${packageName}' restarted` });
+      } catch (error) {
+        logger.error(`Restart endpoint error: ${error.message}`);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to restart package',
+          message: error.message
+        });
+      }
+    });
+
+    // Package logs endpoint - plain text, kept open with ?follow=true
+    this.app.get('/api/packages/:name/logs', (req, res) => {
+      const packageName = req.params.name;
+
+      // Only installed packages have logs, anything else could name a file outside the logs directory
+      if (!logStore.isValidName(packageName) || !pluginLoader.getPlugin(packageName)) {
+        res.status(404).json({
+          success: false,
+          error: 'Package not available',
+          message: `Package '${packageName}' is not installed on the server`
+        });
+        return;
+      }
+
+      if (!logStore.hasLogs(packageName)) {
+        res.status(404).json({
+          success: false,
+          error: 'No logs',
+          message: `No logs found for package '${packageName}'`
+        });
+        return;
+      }
+
+      const lines = parseInt(req.query.lines) || 100;
+      res.status(200);
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.write(logStore.read(packageName, lines));
+
+      if (req.query.follow !== 'true') {
+        res.end();
+        return;
+      }
+
+      const stopFollowing = logStore.follow(packageName, data => res.write(data));
+      res.on('close', stopFollowing);
+    });
+
+    // Server stop endpoint - stops all packages and shuts the server process down
+    this.app.post('/api/server/stop', (req, res) => {
+      logger.info('Shutdown requested via API');
+      res.json({ success: true, message: 'Zypin server is shutting down' });
+
+      // Reuse the process signal handlers so packages and server are cleaned up the same way
+      res.on('finish', () => process.kill(process.pid, 'SIGTERM'));
+    });
+
+    // Job endpoints - queue a run, then follow its events; runs wait while the package is at its concurrency limit
+    this.app.post('/api/jobs', async (req, res) => {
+      const job = await this.submitRun(res, req.body);
+      if (job) {
+        res.status(202).json({ success: true, job: jobQueue.describe(job) });
+      }
+    });
+
+    this.app.get('/api/jobs', (req, res) => {
+      res.json({ jobs: jobQueue.list().map(job => jobQueue.describe(job)) });
+    });
+
+    this.app.get('/api/jobs/:id', (req, res) => {
+      const job = this.findJob(req, res);
+      if (job) {
+        res.json({ job: jobQueue.describe(job) });
+      }
+    });
+
+    this.app.get('/api/jobs/:id/events', (req, res) => {
+      const job = this.findJob(req, res);
+      if (job) {
+        this.streamJob(req, res, job);
+      }
+    });
+
+    this.app.post('/api/jobs/:id/cancel', async (req, res) => {
+      const job = this.findJob(req, res);
+      if (!job) {
+        return;
+      }
+
+      if (jobQueue.isFinished(job)) {
+        res.status(409).json({
+          success: false,
+          error: 'Job already finished',
+          message: `Job '${job.id}' already finished (${job.status})`
+        });
+        return;
+      }
+
+      await jobQueue.cancel(job.id);
+      res.json({ success: true, message: `Job '${job.id}' cancelled`, job: jobQueue.describe(job) });
+    });
+
+    // Run history (newest first) - filter with ?package=&template=&project=&result=&since=&limit=
+    this.app.get('/api/runs', (req, res) => {
+      try {
+        res.json({ runs: runHistory.list(req.query) });
+      } catch (error) {
+        res.status(400).json({
+          success: false,
+          error: 'Invalid history filter',
+          message: error.message
+        });
+      }
+    });
+
+    this.app.get('/api/runs/:id', (req, res) => {
+      let run;
+      try {
+        run = runHistory.get(req.params.id);
+      } catch (error) {
+        res.status(400).json({ success: false, error: 'Ambiguous run ID', message: error.message });
+        return;
+      }
+
+      if (!run) {
+        res.status(404).json({
+          success: false,
+          error: 'Run not found',
+          message: `Run '${req.params.id}' not found in the history`
+        });
+        return;
+      }
+      res.json({ run });
+    });
+
+    // Built-in dashboard - static files that only talk to the JSON APIs above
+    if (config.dashboard.enabled) {
+      this.app.use('/dashboard', express.static(path.join(__dirname, 'dashboard')));
+      this.app.get('/', (req, res) => res.redirect('/dashboard/'));
+    }
 
     return this.app;
   }
 
+  // Helper method to validate start options: request options for the package, schema defaults for its dependencies
+  resolveStartOptions(packageNames, packageName, requestOptions) {
+    const optionsByPackage = {};
+    const errors = [];
+
+    packageNames.forEach(name => {
+      const plugin = pluginLoader.getPlugin(name);
+      const values = name === packageName ? requestOptions : {};
+      if (!plugin || !plugin.startOptions) {
+        optionsByPackage[name] = values;
+        return;
+      }
+
+      const validation = optionSchema.validate(plugin.startOptions, values, `${name}.`);
+      errors.push(...validation.errors);
+      optionsByPackage[name] = validation.values;
+    });
+
+    return { optionsByPackage, errors };
+  }
+
+  // Helper method to validate a run request, returns an error response ({status, body}) or null
+  validateRunRequest({ package: packageName, template: templateName, inputFiles, cliParams }) {
+    if (!packageName || !templateName || !Array.isArray(inputFiles) || inputFiles.length === 0) {
+      return {
+        status: 400,
+        body: { success: false, error: 'Invalid run request', message: 'package, template and inputFiles are required' }
+      };
+    }
+
+    // A bad filter would only fail once the job runs, reject it before it is queued
+    if (cliParams && cliParams.filter !== undefined && cliParams.filter !== null) {
+      const { errors } = testFilter.normalize(cliParams.filter);
+      if (errors.length > 0) {
+        return {
+          status: 400,
+          body: { success: false, error: 'Invalid test filter', message: errors.join('; '), errors }
+        };
+      }
+    }
+
+    const plugin = pluginLoader.getPlugin(packageName);
+    if (!plugin || !plugin.hasRun) {
+      return {
+        status: 404,
+        body: {
+          success: false,
+          error: 'Package not available',
+          message: `Package '${packageName}' is not installed on the server or does not support test execution`
+        }
+      };
+    }
+
+    if (!templateScanner.getTemplate(`${packageName}/${templateName}`)) {
+      return {
+        status: 404,
+        body: {
+          success: false,
+          error: 'Template not available',
+          message: `Template '${packageName}/${templateName}' not found on the server`
+        }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a run request, unpack its project upload and queue it as a job
+   * @param {Object} res - Express response, used to reply when the request is rejected
+   * @param {Object} body - Run request ({package, template, project, inputFiles, cliParams, files})
+   * @returns {Promise<Object|null>} The queued job, or null when a response was already sent
+   */
+  async submitRun(res, body = {}) {
+    const { package: packageName, template: templateName, project, inputFiles, cliParams, files } = body;
+
+    const invalid = this.validateRunRequest(body);
+    if (invalid) {
+      res.status(invalid.status).json(invalid.body);
+      return null;
+    }
+
+    let workspaceDir;
+    try {
+      workspaceDir = await testRunner.createWorkspace(files);
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        error: 'Invalid project upload',
+        message: error.message
+      });
+      return null;
+    }
+
+    const details = { package: packageName, template: templateName, project, inputs: inputFiles };
+    try {
+      return jobQueue.submit(details, {
+        execute: ({ id, signal, emit }) => this.executeRun(details, { id, cliParams, workspaceDir, signal, emit }),
+        cleanup: () => testRunner.removeWorkspace(workspaceDir)
+      });
+    } catch (error) {
+      await testRunner.removeWorkspace(workspaceDir);
+      res.status(503).json({
+        success: false,
+        error: 'Queue full',
+        message: error.message
+      });
+      return null;
+    }
+  }
+
+  // Helper method to run a queued job in a worker, recording metrics and the run history
+  async executeRun(details, { id, cliParams, workspaceDir, signal, emit }) {
+    const { package: packageName, template: templateName, inputs } = details;
+    logger.info(`Running ${packageName}/${templateName} for remote client (${inputs.length} input(s))`);
+
+    const startedAt = new Date();
+    let result = null;
+    let errorMessage = null;
+    metrics.runStarted();
+
+    try {
+      const plugin = pluginLoader.getPlugin(packageName);
+      const runOptions = {
+        packageName,
+        inputFiles: inputs,
+        cliParams: cliParams || {},
+        cwd: workspaceDir,
+        signal,
+        onOutput: (stream, data) => emit({ type: 'output', stream, data })
+      };
+
+      // Clients without the package installed can't filter test files by header, so do it here
+      const { filter } = testFilter.normalize(runOptions.cliParams.filter || {});
+      if (testFilter.shouldFilterFiles(plugin, filter)) {
+        runOptions.inputFiles = testFilter.filterFiles(inputs, filter, workspaceDir);
+        if (runOptions.inputFiles.length === 0) {
+          result = { success: false, message: `No test files match ${testFilter.describe(filter)}` };
+          return result;
+        }
+      }
+
+      result = workerPool.shouldSplit(plugin, runOptions.cliParams, runOptions.inputFiles)
+        ? await workerPool.run(runOptions)
+        : await testRunner.runInWorker(runOptions);
+      return result;
+    } catch (error) {
+      errorMessage = `Test execution failed: ${error.message}`;
+      throw error;
+    } finally {
+      const record = runHistory.record({
+        ...details,
+        source: 'server',
+        cliParams,
+        startedAt,
+        result,
+        error: errorMessage,
+        jobId: id
+      });
+      metrics.runFinished(packageName, record ? record.result : runHistory.getResult(result), (Date.now() - startedAt) / 1000);
+      // Clients build their JUnit/JSON/TAP reports from the normalized result
+      emit({
+        type: 'report',
+        report: resultModel.normalize(result || { success: false, message: errorMessage }, {
+          ...details,
+          startedAt,
+          duration: Date.now() - startedAt
+        })
+      });
+      if (record) {
+        emit({ type: 'saved', runId: record.id });
+      }
+    }
+  }
+
+  // Helper method to stream a job's events as NDJSON until it finishes
+  streamJob(req, res, job) {
+    res.status(200);
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.flushHeaders();
+
+    const unsubscribe = jobQueue.subscribe(job, (event) => {
+      res.write(JSON.stringify(event) + '\n');
+      if (event.type === 'result') {
+        res.end();
+      }
+    });
+
+    res.on('close', unsubscribe);
+  }
+
+  // Helper method to look up the job named in the URL, replying 404 when it doesn't exist
+  findJob(req, res) {
+    const job = jobQueue.get(req.params.id);
+    if (!job) {
+      res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: `Job '${req.params.id}' not found (finished jobs are only kept for a while)`
+      });
+    }
+    return job;
+  }
+
   startServer() {
     if (this.isRunning) {
       logger.info('Server is already running');
@@ -68,7 +693,7 @@ class ZypinServer {
       try {
         this.createServer();
 
-        this.server = this.app.listen(this.port, (error) => {
+        const onListening = (error) => {
           if (error) {
             logger.error(`Failed to start server: ${error.message}`);
             reject(error);
@@ -76,8 +701,36 @@ class ZypinServer {
           }
 
           this.isRunning = true;
-          logger.info(`Zypin server running on port ${this.port}`);
+          if (this.token) {
+            auth.saveLocalToken(this.token);
+          }
+          daemon.writePidFile({
+            pid: process.pid,
+            port: this.port,
+            host: this.host,
+            instance: config.instance,
+            startTime: new Date().toISOString(),
+            detached: process.env.ZYPIN_DAEMON === '1',
+            logFile: process.env.ZYPIN_DAEMON === '1' ? config.daemon.logFile : null
+          });
+          logger.info(`Zypin server running on ${this.host ? `${this.host}:` : 'port '}${this.port}`);
           resolve();
+        };
+
+        this.server = this.host
+          ? this.app.listen(this.port, this.host, onListening)
+          : this.app.listen(this.port, onListening);
+
+        this.server.once('error', async (error) => {
+          this.server = null;
+          if (error.code === 'EADDRINUSE') {
+            const conflict = new Error(await this.describePortConflict());
+            conflict.code = error.code;
+            reject(conflict);
+            return;
+          }
+          logger.error(`Failed to start server: ${error.message}`);
+          reject(error);
         });
       } catch (error) {
         logger.error(`Server startup error: ${error.message}`);
@@ -100,6 +753,11 @@ class ZypinServer {
           logger.info('Server stopped');
         }
 
+        if (this.token) {
+          auth.clearLocalToken();
+        }
+        daemon.removePidFile();
+
         this.isRunning = false;
         this.server = null;
         resolve();
@@ -111,16 +769,23 @@ class ZypinServer {
     return this.port;
   }
 
-  async status(serverUrl = `http://localhost:${this.port}`) {
+  async status(serverUrl = this.getServerUrl(), token = null) {
     try {
-      const response = await fetch(`${serverUrl}/api/health`, {
-        method: 'GET'
+      const clientToken = auth.resolveClientToken(serverUrl, token);
+      const response = await fetch(`${serverUrl}/api/ping`, {
+        method: 'GET',
+        headers: clientToken ? { Authorization: `Bearer ${clientToken}` } : {}
       });
 
+      const body = response.ok ? await response.json().catch(() => ({})) : {};
+
+      // A 401 still means a Zypin server is listening, it just requires a token
       return {
-        isRunning: response.ok,
+        isRunning: response.ok || response.status === 401,
+        authRequired: response.status === 401,
         url: serverUrl,
-        status: response.status
+        status: response.status,
+        instance: body.instance || null
       };
     } catch (error) {
       return {
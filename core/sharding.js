@@ -0,0 +1,108 @@
+/**
+ * Test sharding for Zypin Framework
+ * Splits the test files of a run into deterministic shards for parallel CI machines (`zypin run --shard i/n`)
+ *
+ * TODO:
+ * - Parse and validate --shard i/n values
+ * - Balance shards by a timing file every machine has (--shard-timings), never by machine-local state
+ * - Always produce the same shards for the same files and timing data
+ * - Fingerprint the split so merged shards can be checked for agreeing on it
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+class Sharding {
+  /**
+   * Parse a --shard value
+   * @param {string} value - Shard as "index/total", e.g. "2/4" (1-based)
+   * @returns {{index: number, total: number}} Shard
+   */
+  parse(value) {
+    const match = /^(\d+)\/(\d+)$/.exec(String(value).trim());
+    const index = match ? parseInt(match[1]) : NaN;
+    const total = match ? parseInt(match[2]) : NaN;
+
+    if (!match || total < 1 || index < 1 || index > total) {
+      throw new Error(`Invalid --shard value '${value}' (use <index>/<total> with 1 <= index <= total, e.g. 2/4)`);
+    }
+    return { index, total };
+  }
+
+  /**
+   * Read file durations from a timing file
+   * The file is either a map of test file to duration in ms, or a Zypin JSON report
+   * (results.json, e.g. merged from the shards of an earlier build).
+   * @param {string} filePath - Path of the timing file
+   * @returns {Object} Map of file to duration in ms
+   */
+  loadTimings(filePath) {
+    let data;
+    try {
+      data = fs.readJsonSync(filePath);
+    } catch (error) {
+      throw new Error(`Failed to read shard timings ${filePath}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    }
+
+    const durations = {};
+    if (data && data.version === 1 && Array.isArray(data.suites)) {
+      data.suites.forEach(suite => (suite.tests || []).forEach(test => {
+        const file = test.file || suite.file;
+        if (file && typeof test.duration === 'number') {
+          durations[file] = (durations[file] || 0) + test.duration;
+        }
+      }));
+    } else if (data && typeof data === 'object' && !Array.isArray(data)) {
+      Object.entries(data).forEach(([file, duration]) => {
+        if (typeof duration !== 'number' || duration < 0) {
+          throw new Error(`Invalid shard timings ${filePath}: duration of '${file}' must be a number of milliseconds`);
+        }
+        durations[file] = duration;
+      });
+    } else {
+      throw new Error(`Invalid shard timings ${filePath}: expected a map of test file to milliseconds or a Zypin JSON report`);
+    }
+    return durations;
+  }
+
+  /**
+   * Fingerprint the inputs of a split, shards with the same fingerprint picked from the same partition
+   * @param {Array<string>} files - All test files of the run
+   * @param {Object} durations - Map of file to duration in ms used for the split
+   * @returns {string} Short hash of the files and their durations
+   */
+  fingerprint(files, durations = {}) {
+    const entries = Array.from(new Set(files)).sort().map(file => `${file}\t${durations[file] || ''}`);
+    return crypto.createHash('sha1').update(entries.join('\n')).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Pick the files of one shard
+   * Files are handed out longest first to the shard with the least total duration. Files without
+   * timing data count as the average known duration (all files weigh the same without any data, which
+   * deals them out in file name order).
+   * @param {Array<string>} files - All test files of the run
+   * @param {{index: number, total: number}} shard - Shard to pick
+   * @param {Object} durations - Map of file to duration in ms, the same on every machine (see loadTimings)
+   * @returns {Array<string>} Sorted files of the shard
+   */
+  partition(files, { index, total }, durations = {}) {
+    const known = files.map(file => durations[file]).filter(duration => typeof duration === 'number' && duration > 0);
+    const fallback = known.length > 0 ? known.reduce((sum, duration) => sum + duration, 0) / known.length : 1;
+    const weigh = file => (typeof durations[file] === 'number' && durations[file] > 0 ? durations[file] : fallback);
+
+    // Sort by weight, then name, so every machine hands out files in the same order
+    const ordered = Array.from(new Set(files)).sort((a, b) => weigh(b) - weigh(a) || (a < b ? -1 : a > b ? 1 : 0));
+
+    const shards = Array.from({ length: total }, () => ({ files: [], duration: 0 }));
+    ordered.forEach(file => {
+      const lightest = shards.reduce((best, candidate) => (candidate.duration < best.duration ? candidate : best));
+      lightest.files.push(file);
+      lightest.duration += weigh(file);
+    });
+
+    return shards[index - 1].files.sort();
+  }
+}
+
+module.exports = new Sharding();
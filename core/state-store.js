@@ -0,0 +1,221 @@
+/**
+ * Process state storage for Zypin Framework
+ * Persists tracked package processes in the per-user state directory
+ *
+ * TODO:
+ * - Serialize concurrent zypin invocations with a lock file
+ * - Write state atomically (temp file + rename)
+ * - Version the state schema and migrate older files
+ * - Import state left in the install directory by older versions
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const winston = require('winston');
+const config = require('./config');
+
+// Setup logger
+const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+// Version 1: flat {name: processInfo} map, written next to the install before per-user state existed
+// Version 2: {version, updatedAt, processes: {name: processInfo}}
+const SCHEMA_VERSION = 2;
+const LEGACY_STATE_FILE = path.join(__dirname, '..', '.zypin-processes.json');
+const LOCK_RETRY_INTERVAL = 50;
+
+// Helper function to block briefly while another invocation holds the lock
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+class StateStore {
+  constructor() {
+    this.file = config.state.file;
+    this.lockFile = config.state.lockFile;
+    // Set when the file was written by a newer zypin - never overwrite it then
+    this.readOnly = false;
+  }
+
+  // Helper method to read who holds a lock file ({content, mtimeMs}), null once it is gone
+  readLockHolder(lockFile) {
+    try {
+      return { content: fs.readFileSync(lockFile, 'utf8'), mtimeMs: fs.statSync(lockFile).mtimeMs };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Helper method to detect a lock left behind by a crashed invocation, returning its holder
+  getStaleLock() {
+    const holder = this.readLockHolder(this.lockFile);
+    if (!holder) {
+      // Lock released while we looked at it
+      return null;
+    }
+
+    const pid = parseInt(holder.content);
+    if (pid) {
+      try {
+        process.kill(pid, 0);
+      } catch (error) {
+        if (error.code === 'ESRCH') return holder;
+      }
+    }
+    return Date.now() - holder.mtimeMs > config.state.staleLockAfter ? holder : null;
+  }
+
+  // Helper method to remove a stale lock without removing a lock another invocation took meanwhile:
+  // the lock is moved aside atomically first and only deleted if it is still the stale holder's
+  takeOverStaleLock(staleHolder) {
+    const claimedFile = `${this.lockFile}.${process.pid}.${Date.now()}.stale`;
+    try {
+      fs.renameSync(this.lockFile, claimedFile);
+    } catch (error) {
+      // Another invocation removed it first
+      return;
+    }
+
+    const claimed = this.readLockHolder(claimedFile);
+    if (claimed && (claimed.content !== staleHolder.content || claimed.mtimeMs !== staleHolder.mtimeMs)) {
+      // A live lock taken after we looked - put it back unless yet another one exists now
+      try {
+        fs.linkSync(claimedFile, this.lockFile);
+      } catch (error) {
+        logger.debug(`Could not restore state lock ${this.lockFile}: ${error.message}`);
+      }
+    } else {
+      logger.debug(`Removed stale state lock ${this.lockFile}`);
+    }
+    fs.removeSync(claimedFile);
+  }
+
+  acquireLock() {
+    const deadline = Date.now() + config.state.lockTimeout;
+    fs.ensureDirSync(path.dirname(this.lockFile), { mode: 0o700 });
+
+    while (true) {
+      try {
+        const fd = fs.openSync(this.lockFile, 'wx');
+        fs.writeSync(fd, String(process.pid));
+        fs.closeSync(fd);
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const staleHolder = this.getStaleLock();
+      if (staleHolder) {
+        this.takeOverStaleLock(staleHolder);
+        continue;
+      }
+
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out waiting for state lock ${this.lockFile}`);
+      }
+      sleepSync(LOCK_RETRY_INTERVAL);
+    }
+  }
+
+  releaseLock() {
+    try {
+      fs.removeSync(this.lockFile);
+    } catch (error) {
+      // Treated as stale by the next invocation
+    }
+  }
+
+  // Helper method to bring any supported schema version up to the current one
+  migrate(data) {
+    if (!data || typeof data !== 'object') {
+      return {};
+    }
+
+    if (data.version === undefined) {
+      return { ...data };
+    }
+
+    if (data.version > SCHEMA_VERSION) {
+      logger.warn(`Process state ${this.file} was written by a newer zypin (schema ${data.version}), ignoring it`);
+      this.readOnly = true;
+      return {};
+    }
+
+    return { ...(data.processes || {}) };
+  }
+
+  // Helper method to read and migrate the state file (caller holds the lock)
+  readUnlocked() {
+    try {
+      if (fs.existsSync(this.file)) {
+        return this.migrate(fs.readJsonSync(this.file));
+      }
+
+      if (fs.existsSync(LEGACY_STATE_FILE)) {
+        return this.migrate(fs.readJsonSync(LEGACY_STATE_FILE));
+      }
+    } catch (error) {
+      logger.warn(`Ignoring unreadable process state ${this.file}: ${error.message}`);
+    }
+    return {};
+  }
+
+  // Helper method to write the state file atomically (caller holds the lock)
+  writeUnlocked(processes) {
+    if (this.readOnly) {
+      return;
+    }
+
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.writeJsonSync(tempFile, {
+      version: SCHEMA_VERSION,
+      updatedAt: new Date().toISOString(),
+      processes
+    }, { spaces: 2 });
+    fs.renameSync(tempFile, this.file);
+
+    // State lives in the per-user directory from now on
+    try {
+      fs.removeSync(LEGACY_STATE_FILE);
+    } catch (error) {
+      // Install directory not writable - the legacy file is only read while no new state exists
+    }
+  }
+
+  /**
+   * Read tracked processes
+   * @returns {Object} Map of package name to process info
+   */
+  read() {
+    this.acquireLock();
+    try {
+      return this.readUnlocked();
+    } finally {
+      this.releaseLock();
+    }
+  }
+
+  /**
+   * Read, modify and write tracked processes while holding the lock
+   * @param {Function} updater - Receives the current process map and mutates it (or returns a new one)
+   * @returns {Object} The process map that was written
+   */
+  update(updater) {
+    this.acquireLock();
+    try {
+      const current = this.readUnlocked();
+      const next = updater(current) || current;
+      this.writeUnlocked(next);
+      return next;
+    } finally {
+      this.releaseLock();
+    }
+  }
+}
+
+module.exports = new StateStore();
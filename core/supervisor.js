@@ -0,0 +1,173 @@
+/**
+ * Package supervisor for Zypin Framework
+ * Watches spawned package processes and restarts them when they crash
+ *
+ * TODO:
+ * - Watch child processes returned by plugin start() functions
+ * - Apply restart policies (never, on-failure, always)
+ * - Back off exponentially between restarts up to a maximum delay
+ * - Give up after a maximum number of restarts
+ * - Record restart counts and last exit codes for health reporting
+ */
+
+const winston = require('winston');
+const config = require('./config');
+
+// Setup logger
+const logger = winston.createLogger({
+  level: config.logLevel,
+  format: winston.format.simple(),
+  transports: [new winston.transports.Console()]
+});
+
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+
+class Supervisor {
+  constructor() {
+    // packageName -> { child, restartFn, restarts, totalRestarts, lastExitCode, lastExitSignal, lastExitAt, startedAt, timer, pendingRestartAt, exhausted }
+    this.watched = new Map();
+  }
+
+  getPolicy() {
+    const policy = config.supervisor.restartPolicy;
+    return RESTART_POLICIES.includes(policy) ? policy : 'on-failure';
+  }
+
+  shouldRestart(policy, code, signal) {
+    if (policy === 'always') return true;
+    if (policy === 'on-failure') return code !== 0 || signal !== null;
+    return false;
+  }
+
+  getBackoffDelay(restarts) {
+    const { initialDelay, maxDelay, multiplier } = config.supervisor.backoff;
+    return Math.min(initialDelay * Math.pow(multiplier, restarts), maxDelay);
+  }
+
+  /**
+   * Watch a package process and restart it when it exits unexpectedly
+   * @param {string} packageName - Package name
+   * @param {ChildProcess} child - Process returned by the plugin's start()
+   * @param {Function} restartFn - Async function that starts the package again
+   * @returns {boolean} Whether the process could be watched
+   */
+  watch(packageName, child, restartFn) {
+    if (!child || typeof child.once !== 'function') {
+      // Plugins that only return a PID can't be supervised
+      logger.debug(`Package ${packageName} is not supervised (no child process handle)`);
+      return false;
+    }
+
+    // Keep restart history across restarts of the same package
+    const previous = this.watched.get(packageName) || { restarts: 0, totalRestarts: 0 };
+    const entry = {
+      ...previous,
+      child,
+      restartFn,
+      startedAt: Date.now(),
+      timer: null,
+      pendingRestartAt: null,
+      exhausted: false
+    };
+
+    child.once('exit', (code, signal) => this.handleExit(packageName, entry, code, signal));
+    this.watched.set(packageName, entry);
+    return true;
+  }
+
+  handleExit(packageName, entry, code, signal) {
+    // Ignore exits of processes that were unwatched or replaced
+    if (this.watched.get(packageName) !== entry) {
+      return;
+    }
+
+    entry.lastExitCode = code;
+    entry.lastExitSignal = signal;
+    entry.lastExitAt = new Date().toISOString();
+    entry.child = null;
+
+    const exitDescription = signal ? `signal ${signal}` : `code ${code}`;
+    const policy = this.getPolicy();
+
+    if (!this.shouldRestart(policy, code, signal)) {
+      logger.warn(`Package ${packageName} exited with ${exitDescription} (restart policy: ${policy})`);
+      return;
+    }
+
+    // A process that stayed up long enough starts with a fresh backoff
+    if (Date.now() - entry.startedAt >= config.supervisor.resetAfter) {
+      entry.restarts = 0;
+    }
+
+    if (entry.restarts >= config.supervisor.maxRestarts) {
+      entry.exhausted = true;
+      logger.error(`Package ${packageName} exited with ${exitDescription}, giving up after ${entry.restarts} restart(s)`);
+      return;
+    }
+
+    const delay = this.getBackoffDelay(entry.restarts);
+    entry.pendingRestartAt = new Date(Date.now() + delay).toISOString();
+    logger.warn(`Package ${packageName} exited with ${exitDescription}, restarting in ${delay}ms (attempt ${entry.restarts + 1}/${config.supervisor.maxRestarts})`);
+
+    entry.timer = setTimeout(async () => {
+      entry.timer = null;
+      entry.pendingRestartAt = null;
+      entry.startedAt = Date.now();
+      entry.restarts++;
+      // Unlike restarts, never reset by a stable run (exported as a metrics counter)
+      entry.totalRestarts++;
+
+      try {
+        const started = await entry.restartFn();
+        if (!started) {
+          // Treat a failed start like another crash so backoff and limits still apply
+          this.handleExit(packageName, entry, null, null);
+        }
+      } catch (error) {
+        logger.error(`Failed to restart ${packageName}: ${error.message}`);
+        this.handleExit(packageName, entry, null, null);
+      }
+    }, delay);
+  }
+
+  // Stop supervising a package (before an intentional stop) and forget its history
+  unwatch(packageName) {
+    const entry = this.watched.get(packageName);
+    if (entry && entry.timer) {
+      clearTimeout(entry.timer);
+    }
+    this.watched.delete(packageName);
+  }
+
+  unwatchAll() {
+    for (const packageName of Array.from(this.watched.keys())) {
+      this.unwatch(packageName);
+    }
+  }
+
+  isRestartPending(packageName) {
+    const entry = this.watched.get(packageName);
+    return !!(entry && entry.timer);
+  }
+
+  getInfo(packageName) {
+    const entry = this.watched.get(packageName);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      policy: this.getPolicy(),
+      count: entry.restarts,
+      total: entry.totalRestarts,
+      maxRestarts: config.supervisor.maxRestarts,
+      lastExitCode: entry.lastExitCode !== undefined ? entry.lastExitCode : null,
+      lastExitSignal: entry.lastExitSignal || null,
+      lastExitAt: entry.lastExitAt || null,
+      pendingRestartAt: entry.pendingRestartAt,
+      exhausted: entry.exhausted
+    };
+  }
+}
+
+module.exports = new Supervisor();
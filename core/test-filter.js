@@ -0,0 +1,174 @@
+/**
+ * Test filtering for Zypin Framework
+ * Turns --grep, --tag and --exclude-tag into the filter passed to plugins, and filters
+ * test files by their header annotations for plugins that can't select tests themselves
+ *
+ * TODO:
+ * - Normalize the filter settings into one object ({grep, tags, excludeTags})
+ * - Read tags from file headers (// @smoke, // @tags smoke, slow, Gherkin tag lines)
+ * - Keep the test files matching the filter when the plugin doesn't filter (supportsFilter)
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+
+// Only the start of a file is read for its header
+const HEADER_BYTES = 8192;
+
+// Comment lines (//, #, /* ... */) and Gherkin tag lines (@smoke @checkout)
+const HEADER_LINE = /^(\/\/|#|\/\*|\*|@)/;
+
+// "@tags smoke, slow" (or "@tag smoke") lists tags, any other @word is a tag itself
+const TAG_LIST_PATTERN = /@tags?\b:?\s*(.*)$/;
+const TAG_PATTERN = /(?:^|[\s(,])@([\w][\w:.-]*)/g;
+
+class TestFilter {
+  // Helper method to clean up tag values (repeatable or comma separated, with or without @)
+  normalizeTags(values = []) {
+    return Array.from(new Set(values
+      .flatMap(value => String(value).split(','))
+      .map(tag => tag.trim().replace(/^@/, ''))
+      .filter(tag => tag)));
+  }
+
+  /**
+   * Build the filter passed to plugins as cliParams.filter
+   * @param {Object} settings - Filter settings
+   * @param {string} settings.grep - Regular expression for test titles (case-insensitive)
+   * @param {Array<string>} settings.tags - Run only tests with at least one of these tags
+   * @param {Array<string>} settings.excludeTags - Leave out tests with any of these tags
+   * @returns {{filter: Object|null, errors: Array<string>}} Filter ({grep, tags, excludeTags}), null when nothing is filtered
+   */
+  normalize(settings = {}) {
+    const errors = [];
+    // Filters also arrive from API clients, so check the shape before using it
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      return { filter: null, errors: ['filter must be an object ({grep, tags, excludeTags})'] };
+    }
+    const { grep, tags, excludeTags } = settings;
+    if (grep !== undefined && grep !== null && typeof grep !== 'string') {
+      errors.push('--grep must be a string');
+    }
+    [['tags', tags, '--tag'], ['excludeTags', excludeTags, '--exclude-tag']].forEach(([key, value, option]) => {
+      if (value !== undefined && value !== null && !Array.isArray(value)) {
+        errors.push(`${option} must be a list of tags (filter.${key})`);
+      }
+    });
+    if (errors.length > 0) {
+      return { filter: null, errors };
+    }
+
+    const filter = {
+      grep: grep || null,
+      tags: this.normalizeTags(tags || []),
+      excludeTags: this.normalizeTags(excludeTags || [])
+    };
+
+    if (filter.grep) {
+      try {
+        new RegExp(filter.grep, 'i');
+      } catch (error) {
+        errors.push(`--grep is not a valid regular expression (${error.message})`);
+      }
+    }
+
+    const active = filter.grep || filter.tags.length > 0 || filter.excludeTags.length > 0;
+    return { filter: active ? filter : null, errors };
+  }
+
+  // Helper method to describe a filter for messages
+  describe(filter) {
+    const parts = [];
+    if (filter.grep) parts.push(`--grep ${filter.grep}`);
+    if (filter.tags.length > 0) parts.push(`--tag ${filter.tags.join(',')}`);
+    if (filter.excludeTags.length > 0) parts.push(`--exclude-tag ${filter.excludeTags.join(',')}`);
+    return parts.join(' ');
+  }
+
+  /**
+   * Check whether core should filter the test files itself
+   * @param {Object} plugin - Plugin info from the plugin loader (may be null)
+   * @param {Object} filter - Normalized filter (may be null)
+   * @returns {boolean} True when a filter is set and the plugin doesn't filter tests itself
+   */
+  shouldFilterFiles(plugin, filter) {
+    return !!filter && !!plugin && !plugin.supportsFilter;
+  }
+
+  /**
+   * Read the header of a test file: the comment and tag lines before the first code line
+   * @param {string} filePath - Absolute path of the test file
+   * @returns {{text: string, tags: Array<string>}} Header text and the tags it declares
+   */
+  readHeader(filePath) {
+    let source = '';
+    try {
+      const fd = fs.openSync(filePath, 'r');
+      const buffer = Buffer.alloc(HEADER_BYTES);
+      const bytesRead = fs.readSync(fd, buffer, 0, HEADER_BYTES, 0);
+      fs.closeSync(fd);
+      source = buffer.toString('utf8', 0, bytesRead);
+    } catch (error) {
+      return { text: '', tags: [] };
+    }
+
+    const lines = [];
+    let inBlock = false;
+    for (const rawLine of source.split('\n')) {
+      const line = rawLine.trim();
+      if (inBlock || line === '' || line.startsWith('#!') || HEADER_LINE.test(line)) {
+        if (line.startsWith('/*')) inBlock = true;
+        if (line.includes('*/')) inBlock = false;
+        if (line) lines.push(line);
+        continue;
+      }
+      break;
+    }
+
+    const tags = [];
+    lines.forEach(line => {
+      const text = line.replace(/\*\/\s*$/, '');
+      const list = text.match(TAG_LIST_PATTERN);
+      if (list) {
+        tags.push(...this.normalizeTags(list[1].split(/[\s,]+/)));
+        return;
+      }
+      for (const match of text.matchAll(TAG_PATTERN)) {
+        tags.push(match[1]);
+      }
+    });
+
+    return { text: lines.join('\n'), tags: Array.from(new Set(tags)) };
+  }
+
+  /**
+   * Check a test file against a filter using its path and header
+   * Tags must match exactly, --grep matches the file path or the header text.
+   * @param {string} file - Test file relative to cwd
+   * @param {Object} filter - Normalized filter
+   * @param {string} cwd - Project directory
+   * @returns {boolean} True when the file should run
+   */
+  matchesFile(file, filter, cwd = process.cwd()) {
+    const { text, tags } = this.readHeader(path.resolve(cwd, file));
+
+    if (filter.excludeTags.some(tag => tags.includes(tag))) {
+      return false;
+    }
+    if (filter.tags.length > 0 && !filter.tags.some(tag => tags.includes(tag))) {
+      return false;
+    }
+    if (filter.grep) {
+      const pattern = new RegExp(filter.grep, 'i');
+      return pattern.test(file) || pattern.test(text);
+    }
+    return true;
+  }
+
+  // Helper method to keep the test files matching a filter
+  filterFiles(files, filter, cwd = process.cwd()) {
+    return files.filter(file => this.matchesFile(file, filter, cwd));
+  }
+}
+
+module.exports = new TestFilter();
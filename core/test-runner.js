@@ -0,0 +1,114 @@
+/**
+ * Test execution system for Zypin Framework
+ * Runs plugin run() functions in worker processes and relays their output
+ *
+ * TODO:
+ * - Fork run-worker.js for each test run
+ * - Stream worker stdout/stderr to the caller
+ * - Create temporary workspaces for uploaded project files
+ * - Support cancelling runs in progress
+ */
+
+const { fork } = require('child_process');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+class TestRunner {
+  constructor() {
+    this.workerPath = path.join(__dirname, 'run-worker.js');
+  }
+
+  /**
+   * Write uploaded project files into a temporary workspace directory
+   * @param {Array<{path: string, content: string}>} files - Files with base64 encoded content
+   * @returns {Promise<string>} Workspace directory
+   */
+  async createWorkspace(files = []) {
+    const workspaceDir = await fs.mkdtemp(path.join(os.tmpdir(), 'zypin-run-'));
+
+    for (const file of files) {
+      const targetPath = path.resolve(workspaceDir, file.path);
+
+      // Reject paths that would escape the workspace
+      if (!targetPath.startsWith(workspaceDir + path.sep)) {
+        await this.removeWorkspace(workspaceDir);
+        throw new Error(`Invalid file path in upload: ${file.path}`);
+      }
+
+      await fs.outputFile(targetPath, Buffer.from(file.content || '', 'base64'));
+    }
+
+    return workspaceDir;
+  }
+
+  async removeWorkspace(workspaceDir) {
+    try {
+      await fs.remove(workspaceDir);
+    } catch (error) {
+      // Ignore cleanup errors, the OS will clear the temp directory eventually
+    }
+  }
+
+  /**
+   * Run a plugin's run() function in a worker process
+   * @param {Object} options - Run options
+   * @param {string} options.packageName - Package providing the run function
+   * @param {Array<string>} options.inputFiles - Test files to run
+   * @param {Object} options.cliParams - CLI parameters passed to the plugin
+   * @param {string} options.cwd - Working directory for the worker
+   * @param {Function} options.onOutput - Called with (stream, data) for worker output
+   * @param {AbortSignal} options.signal - Signal used to cancel the run
+   * @returns {Promise<Object>} Plugin run result ({success, message})
+   */
+  runInWorker({ packageName, inputFiles, cliParams = {}, cwd = process.cwd(), onOutput, signal }) {
+    return new Promise((resolve) => {
+      let result = null;
+      let settled = false;
+
+      const finish = (value) => {
+        if (settled) return;
+        settled = true;
+        resolve(value);
+      };
+
+      const worker = fork(this.workerPath, [], {
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe', 'ipc'],
+        signal
+      });
+
+      if (onOutput) {
+        worker.stdout.on('data', data => onOutput('stdout', data.toString()));
+        worker.stderr.on('data', data => onOutput('stderr', data.toString()));
+      }
+
+      worker.on('message', (message) => {
+        if (message && message.type === 'result') {
+          result = message.result;
+        }
+      });
+
+      worker.on('error', (error) => {
+        if (error.name === 'AbortError') {
+          finish({ success: false, cancelled: true, message: 'Test run cancelled' });
+          return;
+        }
+        finish({ success: false, message: `Failed to start test worker: ${error.message}` });
+      });
+
+      // 'close' fires after the output streams are drained, unlike 'exit'
+      worker.on('close', (code) => {
+        if (result) {
+          finish(result);
+        } else {
+          finish({ success: false, message: `Test worker exited unexpectedly (code ${code})` });
+        }
+      });
+
+      worker.send({ type: 'run', packageName, inputFiles, cliParams });
+    });
+  }
+}
+
+module.exports = new TestRunner();
@@ -0,0 +1,214 @@
+/**
+ * File watching for Zypin watch mode
+ * Watches the project directory and works out which test files a change affects
+ *
+ * TODO:
+ * - Watch every project directory (skipping node_modules and .git), including new ones
+ * - Debounce bursts of changes (editors often write a file several times)
+ * - Follow local require()/import statements from test files to the files they use
+ * - Map changed files to the test files that use them
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('./config');
+const inputResolver = require('./input-resolver');
+
+// Files that are followed for local imports, and that trigger a full re-run when no test is known to use them
+const SOURCE_EXTENSIONS = ['.js', '.mjs', '.cjs', '.ts', '.mts', '.cts', '.jsx', '.tsx'];
+const RESOLVE_EXTENSIONS = ['', ...SOURCE_EXTENSIONS, '.json'];
+
+// require('./x'), import('./x'), import x from './x', import './x' and export ... from './x'
+const IMPORT_PATTERN = /(?:require\s*\(\s*|import\s*\(\s*|from\s+|import\s+)['"](\.{1,2}\/[^'"]+|\.{1,2})['"]/g;
+
+class TestWatcher {
+  constructor() {
+    // directory -> fs.FSWatcher
+    this.watchers = new Map();
+    this.changed = new Set();
+    this.timer = null;
+    this.cwd = null;
+    this.onChange = null;
+  }
+
+  // Helper method to resolve a relative import to a file, trying the usual extensions and index files
+  resolveImport(fromFile, specifier) {
+    const base = path.resolve(path.dirname(fromFile), specifier);
+    const candidates = [
+      ...RESOLVE_EXTENSIONS.map(extension => base + extension),
+      ...SOURCE_EXTENSIONS.map(extension => path.join(base, `index${extension}`))
+    ];
+
+    return candidates.find(candidate => {
+      try {
+        return fs.statSync(candidate).isFile();
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+  }
+
+  // Helper method to list the local files a source file imports
+  findImports(filePath) {
+    if (!SOURCE_EXTENSIONS.includes(path.extname(filePath))) {
+      return [];
+    }
+
+    let source;
+    try {
+      source = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      return [];
+    }
+
+    const imports = [];
+    for (const match of source.matchAll(IMPORT_PATTERN)) {
+      const resolved = this.resolveImport(filePath, match[1]);
+      if (resolved && !resolved.split(path.sep).includes('node_modules')) {
+        imports.push(resolved);
+      }
+    }
+    return imports;
+  }
+
+  /**
+   * Build a map from every file the test files use (directly or indirectly) to those test files
+   * @param {Array<string>} testFiles - Test files relative to cwd
+   * @param {string} cwd - Project directory
+   * @returns {Map<string, Set<string>>} Absolute file path -> test files (relative) that use it
+   */
+  buildGraph(testFiles, cwd) {
+    const dependents = new Map();
+
+    testFiles.forEach(testFile => {
+      const visited = new Set();
+      const pending = [path.resolve(cwd, testFile)];
+
+      while (pending.length > 0) {
+        const file = pending.pop();
+        if (visited.has(file)) continue;
+        visited.add(file);
+
+        if (!dependents.has(file)) {
+          dependents.set(file, new Set());
+        }
+        dependents.get(file).add(testFile);
+        pending.push(...this.findImports(file));
+      }
+    });
+
+    return dependents;
+  }
+
+  /**
+   * Work out which test files to re-run for a set of changed files
+   * @param {Array<string>} changedFiles - Absolute paths of changed (or removed) files
+   * @param {Array<string>} testFiles - Current test files relative to cwd
+   * @param {string} cwd - Project directory
+   * @returns {{tests: Array<string>, all: boolean}} Affected test files, or all=true when a source file no test imports changed
+   */
+  getAffected(changedFiles, testFiles, cwd) {
+    const graph = this.buildGraph(testFiles, cwd);
+    const tests = new Set();
+    let all = false;
+
+    changedFiles.forEach(file => {
+      if (graph.has(file)) {
+        graph.get(file).forEach(testFile => tests.add(testFile));
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(file))) {
+        // Loaded by the test framework rather than imported (step definitions, support files)
+        all = true;
+      }
+    });
+
+    return { tests: testFiles.filter(testFile => tests.has(testFile)), all };
+  }
+
+  // Helper method to list the project directories to watch
+  listDirectories(dir) {
+    const directories = [dir];
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (error) {
+      return directories;
+    }
+
+    entries
+      .filter(entry => entry.isDirectory() && !inputResolver.isIgnoredDirectory(entry.name))
+      .forEach(entry => directories.push(...this.listDirectories(path.join(dir, entry.name))));
+    return directories;
+  }
+
+  // Helper method to watch new directories and drop watchers of removed ones
+  refresh() {
+    const directories = new Set(this.listDirectories(this.cwd));
+
+    this.watchers.forEach((watcher, dir) => {
+      if (!directories.has(dir)) {
+        watcher.close();
+        this.watchers.delete(dir);
+      }
+    });
+
+    directories.forEach(dir => {
+      if (this.watchers.has(dir)) return;
+      try {
+        const watcher = fs.watch(dir, (eventType, fileName) => {
+          if (fileName) this.queue(path.join(dir, fileName.toString()));
+        });
+        watcher.on('error', () => {
+          watcher.close();
+          this.watchers.delete(dir);
+        });
+        this.watchers.set(dir, watcher);
+      } catch (error) {
+        // Removed before it could be watched
+      }
+    });
+  }
+
+  // Helper method to collect a changed path and report the batch once changes settle
+  queue(filePath) {
+    this.changed.add(filePath);
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const changed = Array.from(this.changed);
+      this.changed.clear();
+      this.refresh();
+
+      // Directory events are covered by the files inside them
+      const files = changed.filter(file => {
+        try {
+          return !fs.statSync(file).isDirectory();
+        } catch (error) {
+          return true;
+        }
+      });
+      if (files.length > 0 && this.onChange) {
+        this.onChange(files);
+      }
+    }, config.watch.debounce);
+  }
+
+  /**
+   * Start watching a project directory
+   * @param {string} cwd - Project directory
+   * @param {Function} onChange - Called with the absolute paths of changed files after changes settle
+   */
+  start(cwd, onChange) {
+    this.cwd = cwd;
+    this.onChange = onChange;
+    this.refresh();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers.clear();
+    this.changed.clear();
+    this.onChange = null;
+  }
+}
+
+module.exports = new TestWatcher();
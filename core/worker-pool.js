@@ -0,0 +1,157 @@
+/**
+ * Parallel test execution for Zypin Framework
+ * Splits the test files of a run across several run workers (`--parallel <n>`) and combines their results
+ *
+ * TODO:
+ * - Split test files into balanced slices, one per worker
+ * - Run each slice in its own worker process with the plugin's run()
+ * - Prefix each worker's output lines so interleaved output stays readable
+ * - Stop the other workers when one fails with --bail
+ * - Combine the worker results into one run result
+ * - Leave parallelism to plugins that handle it themselves (handlesParallel)
+ */
+
+const chalk = require('chalk');
+const testRunner = require('./test-runner');
+const resultModel = require('./result-model');
+const sharding = require('./sharding');
+
+const PREFIX_COLORS = [chalk.cyan, chalk.magenta, chalk.yellow, chalk.blue, chalk.green];
+
+class WorkerPool {
+  /**
+   * Check whether core should split a run across workers
+   * @param {Object} plugin - Plugin info from the plugin loader (may be null)
+   * @param {Object} cliParams - CLI parameters of the run
+   * @param {Array<string>} inputFiles - Test files of the run
+   * @returns {boolean} True when --parallel asks for more than one worker and the plugin doesn't parallelize itself
+   */
+  shouldSplit(plugin, cliParams, inputFiles) {
+    const parallel = parseInt(cliParams && cliParams.parallel);
+    return !!plugin && !plugin.handlesParallel && parallel > 1 && inputFiles.length > 1;
+  }
+
+  // Helper method to turn a worker's output chunks into complete lines with the worker prefix
+  createPrefixer(index, onOutput) {
+    const color = PREFIX_COLORS[(index - 1) % PREFIX_COLORS.length];
+    const prefix = color(`[w${index}] `);
+    const buffers = { stdout: '', stderr: '' };
+
+    return {
+      write: (stream, data) => {
+        const lines = (buffers[stream] + data).split('\n');
+        buffers[stream] = lines.pop();
+        if (lines.length > 0) {
+          onOutput(stream, lines.map(line => prefix + line).join('\n') + '\n');
+        }
+      },
+      flush: () => {
+        Object.keys(buffers).forEach(stream => {
+          if (buffers[stream]) onOutput(stream, prefix + buffers[stream] + '\n');
+          buffers[stream] = '';
+        });
+      }
+    };
+  }
+
+  // Helper method to combine worker results into one plugin-style result ({success, message, suites})
+  combine(results, slices, bailed) {
+    // Workers stopped by --bail never finished their files, they count as not run rather than failed
+    const isStopped = result => bailed && result.cancelled;
+    const finished = results.map((result, index) => (isStopped(result) ? null : resultModel.normalize(result, { inputs: slices[index] })));
+    const withTests = finished.some(report => report && report.hasTests);
+    const reports = finished.map((report, index) => report || resultModel.normalize({
+      success: true,
+      tests: withTests
+        ? slices[index].map(file => ({ name: 'Not run (stopped by --bail)', file, status: 'skipped' }))
+        : []
+    }, { inputs: slices[index] }));
+
+    const merged = resultModel.merge(reports);
+    const failedWorkers = results.filter(result => !result.success && !result.cancelled).length;
+    const stoppedWorkers = results.filter(isStopped).length;
+
+    let message;
+    if (merged.hasTests) {
+      const { stats } = merged;
+      message = stats.failed > 0
+        ? `${stats.failed} of ${stats.total - stats.skipped} tests failed in ${results.length} workers`
+        : `All ${stats.total - stats.skipped} tests passed in ${results.length} workers`;
+    } else {
+      message = failedWorkers > 0
+        ? `${failedWorkers} of ${results.length} workers failed`
+        : `All ${results.length} workers passed`;
+    }
+    if (stoppedWorkers > 0) {
+      message += `, ${stoppedWorkers} stopped before finishing (--bail)`;
+    }
+
+    const cancelled = !bailed && results.some(result => result.cancelled);
+    return {
+      success: merged.success,
+      cancelled,
+      message: cancelled ? 'Test run cancelled' : message,
+      suites: merged.hasTests ? merged.suites : undefined,
+      attachments: merged.attachments
+    };
+  }
+
+  /**
+   * Run test files across several worker processes
+   * @param {Object} options - Run options
+   * @param {string} options.packageName - Package providing the run function
+   * @param {Array<string>} options.inputFiles - Test files to split
+   * @param {Object} options.cliParams - CLI parameters (parallel sets the number of workers, bail stops early)
+   * @param {string} options.cwd - Working directory for the workers
+   * @param {Object} options.durations - Map of file to duration in ms from earlier runs, used to balance slices
+   * @param {Function} options.onOutput - Called with (stream, data) for prefixed worker output
+   * @param {AbortSignal} options.signal - Signal used to cancel the run
+   * @returns {Promise<Object>} Combined run result ({success, cancelled, message, suites})
+   */
+  async run({ packageName, inputFiles, cliParams = {}, cwd = process.cwd(), durations = {}, onOutput = () => {}, signal }) {
+    const total = Math.min(parseInt(cliParams.parallel), inputFiles.length);
+    const slices = Array.from({ length: total }, (_, index) =>
+      sharding.partition(inputFiles, { index: index + 1, total }, durations));
+
+    const controllers = slices.map(() => new AbortController());
+    const abortAll = () => controllers.forEach(controller => controller.abort());
+    if (signal) {
+      if (signal.aborted) abortAll();
+      signal.addEventListener('abort', abortAll, { once: true });
+    }
+
+    let bailed = false;
+    onOutput('stdout', chalk.gray(`Running ${inputFiles.length} test files in ${total} workers\n`));
+
+    const results = await Promise.all(slices.map(async (files, index) => {
+      const prefixer = this.createPrefixer(index + 1, onOutput);
+      const result = await testRunner.runInWorker({
+        packageName,
+        inputFiles: files,
+        // Each worker runs its slice on its own, the worker number lets plugins pick free ports or directories
+        cliParams: { ...cliParams, parallel: 1, worker: { index: index + 1, total } },
+        cwd,
+        signal: controllers[index].signal,
+        onOutput: prefixer.write
+      });
+      prefixer.flush();
+      // The worker's own summary is usually the useful part of a failure
+      if (!result.success && !result.cancelled && result.message) {
+        prefixer.write('stderr', chalk.red(`${result.message}\n`));
+      }
+
+      if (cliParams.bail && !result.success && !result.cancelled && !bailed) {
+        bailed = true;
+        abortAll();
+      }
+      return result;
+    }));
+
+    if (signal) {
+      signal.removeEventListener('abort', abortAll);
+    }
+    return this.combine(results, slices, bailed);
+  }
+}
+
+module.exports = new WorkerPool();
@@ -19,6 +19,9 @@ mkdir -p "$PROJECT_ROOT/zypin-core/test/results/global-mode"
 mkdir -p "$PROJECT_ROOT/zypin-core/test/results/template-mode"
 mkdir -p "$PROJECT_ROOT/zypin-core/test/results/error-cases"
 
+# Keep test runs away from the user's own zypin state (~/.zypin)
+export ZYPIN_STATE_DIR="$PROJECT_ROOT/zypin-core/test/results/state"
+
 # Summary file
 SUMMARY_FILE="$PROJECT_ROOT/zypin-core/test/results/test-summary.txt"
 
@@ -167,6 +170,7 @@ cleanup_processes() {
     # Clean up process file
     rm -f "$PROJECT_ROOT/.zypin-processes.json" 2>/dev/null || true
     rm -f "$PROJECT_ROOT/zypin-core/.zypin-processes.json" 2>/dev/null || true
+    rm -rf "$ZYPIN_STATE_DIR" 2>/dev/null || true
     
     sleep 1
 }
@@ -294,6 +298,74 @@ run_command "node cli/index.js --server http://remote:8421" "zypin --server http
 # 27. Version display
 run_command "node cli/index.js --version" "zypin --version" "global-mode" "27-version"
 
+# 27b. Stop command help
+run_command "node cli/index.js stop --help" "zypin stop --help" "global-mode" "27b-stop-help"
+
+# 27c. Stop command without running server (should stop local packages directly)
+run_command "node cli/index.js stop" "zypin stop (no server)" "global-mode" "27c-stop-no-server"
+
+# 27d. Restart command help
+run_command "node cli/index.js restart --help" "zypin restart --help" "global-mode" "27d-restart-help"
+
+# 27e. Restart command without running server (should fail)
+run_command "node cli/index.js restart" "zypin restart (no server)" "global-mode" "27e-restart-no-server"
+
+# 27f. Server command help
+run_command "node cli/index.js server --help" "zypin server --help" "global-mode" "27f-server-help"
+
+# 27g. Start in background and check server status
+node cli/index.js start --packages selenium --detach > /dev/null 2>&1
+run_command "node cli/index.js server status" "zypin server status (detached)" "global-mode" "27g-server-status-detached"
+
+# 27h. Show background server logs
+run_command "node cli/index.js server logs --lines 20" "zypin server logs --lines 20" "global-mode" "27h-server-logs"
+
+# 27h2. Second named instance on another port, listed next to the default one
+node cli/index.js start --packages selenium --detach --instance team-a --port 8422 > /dev/null 2>&1
+run_command "node cli/index.js server list" "zypin server list" "global-mode" "27h2-server-list"
+node cli/index.js --instance team-a server stop > /dev/null 2>&1
+
+# 27i. Stop background server
+run_command "node cli/index.js server stop" "zypin server stop" "global-mode" "27i-server-stop"
+
+# 27i2. Server started with an API token: requests without a token are rejected (401, should fail)
+node cli/index.js start --packages selenium --detach --instance secured --port 8423 --token zypin-test-token > /dev/null 2>&1
+run_command "ZYPIN_TOKEN= node cli/index.js health --server http://localhost:8423" "zypin health --server http://localhost:8423 (no token)" "global-mode" "27i2-health-no-token"
+
+# 27i3. Requests with a wrong token are rejected (401, should fail)
+run_command "ZYPIN_TOKEN= node cli/index.js health --server http://localhost:8423 --token wrong-token" "zypin health --server http://localhost:8423 --token wrong-token" "global-mode" "27i3-health-wrong-token"
+
+# 27i4. Requests with the server's token are accepted
+run_command "ZYPIN_TOKEN= node cli/index.js health --server http://localhost:8423 --token zypin-test-token" "zypin health --server http://localhost:8423 --token zypin-test-token" "global-mode" "27i4-health-valid-token"
+node cli/index.js --instance secured server stop > /dev/null 2>&1
+
+# 27j. Logs command help
+run_command "node cli/index.js logs --help" "zypin logs --help" "global-mode" "27j-logs-help"
+
+# 27k. Logs for a package without a running server (reads local log files)
+run_command "node cli/index.js logs selenium --lines 20" "zypin logs selenium --lines 20" "global-mode" "27k-logs-package"
+
+# 27l. History command help
+run_command "node cli/index.js history --help" "zypin history --help" "global-mode" "27l-history-help"
+
+# 27m. History list (empty until the template mode runs below are recorded)
+run_command "node cli/index.js history --limit 5" "zypin history --limit 5" "global-mode" "27m-history-list"
+
+# 27n. History with an invalid filter (should fail)
+run_command "node cli/index.js history --result unknown" "zypin history --result unknown" "global-mode" "27n-history-invalid-filter"
+
+# 27o. Report command help
+run_command "node cli/index.js report --help" "zypin report --help" "global-mode" "27o-report-help"
+
+# 27p. Report for a run that doesn't exist (should fail)
+run_command "node cli/index.js report unknown-run" "zypin report unknown-run" "global-mode" "27p-report-unknown-run"
+
+# 27q. Merge reports command help
+run_command "node cli/index.js merge-reports --help" "zypin merge-reports --help" "global-mode" "27q-merge-reports-help"
+
+# 27r. Merge a report that doesn't exist (should fail)
+run_command "node cli/index.js merge-reports no-such-dir/results.json" "zypin merge-reports no-such-dir/results.json" "global-mode" "27r-merge-reports-missing"
+
 # Test Template Mode Commands
 print_status "Testing Template Mode Commands..."
 
@@ -312,6 +384,15 @@ run_command "node ../../../zypin-core/cli/index.js run" "zypin run (no input)" "
 # 31. Run command with input files (long-running)
 run_command "node ../../../zypin-core/cli/index.js run --input test/features/step-definitions-test.feature" "zypin run --input test/features/step-definitions-test.feature" "template-mode" "31-template-run-with-input" "30" "true"
 
+# 31b. Run command against a remote server (long-running)
+# Start server in background first
+node ../../../zypin-core/cli/index.js start --packages selenium > /dev/null 2>&1 &
+SERVER_PID=$!
+sleep 3  # Wait for server to start
+run_command "node ../../../zypin-core/cli/index.js run --input test/features/step-definitions-test.feature --server http://localhost:8421" "zypin run --input test/features/step-definitions-test.feature --server http://localhost:8421" "template-mode" "31b-template-run-remote-server" "30" "true"
+# Clean up background server
+kill $SERVER_PID 2>/dev/null || true
+
 # 32. Run command with browser option (long-running)
 run_command "node ../../../zypin-core/cli/index.js run --input test/features/step-definitions-test.feature --browser chrome" "zypin run --input test/features/step-definitions-test.feature --browser chrome" "template-mode" "32-template-run-browser" "30" "true"
 
@@ -330,6 +411,47 @@ run_command "node ../../../zypin-core/cli/index.js run --input test/features/ste
 # 37. Run command with window size option (long-running)
 run_command "node ../../../zypin-core/cli/index.js run --input test/features/step-definitions-test.feature --window-size 1920x1080" "zypin run --input test/features/step-definitions-test.feature --window-size 1920x1080" "template-mode" "37-template-run-window-size" "30" "true"
 
+# 37a. Run command with JUnit, TAP and HTML reports (long-running)
+run_command "node ../../../zypin-core/cli/index.js run --input test/features/step-definitions-test.feature --reporter junit --reporter tap --reporter html --output ../../../zypin-core/test/results/reports" "zypin run --input test/features/step-definitions-test.feature --reporter junit --reporter tap --reporter html" "template-mode" "37a-template-run-reporters" "30" "true"
+
+# 37b. History of this project's runs (template mode)
+run_command "node ../../../zypin-core/cli/index.js history --limit 5" "zypin history --limit 5 (template mode)" "template-mode" "37b-template-history"
+
+# 37c. Run with a profile that doesn't exist (should fail)
+run_command "node ../../../zypin-core/cli/index.js run --input test/features/step-definitions-test.feature --profile unknown-profile" "zypin run --input test/features/step-definitions-test.feature --profile unknown-profile" "template-mode" "37c-template-run-unknown-profile"
+
+# 37d. Run with inputs that match no test files (should fail)
+run_command "node ../../../zypin-core/cli/index.js run --input 'no-such-dir/**/*.feature'" "zypin run --input 'no-such-dir/**/*.feature'" "template-mode" "37d-template-run-no-matching-inputs"
+
+# 37e. Watch mode combined with a server (should fail)
+run_command "node ../../../zypin-core/cli/index.js run --input test/features --watch --server http://localhost:8421" "zypin run --input test/features --watch --server http://localhost:8421" "template-mode" "37e-template-run-watch-server"
+
+# 37f. Re-run the tests that failed in the previous runs (long-running)
+run_command "node ../../../zypin-core/cli/index.js run --last-failed" "zypin run --last-failed" "template-mode" "37f-template-run-last-failed" "30" "true"
+
+# 37g. Run one shard with an invalid shard value (should fail)
+run_command "node ../../../zypin-core/cli/index.js run --input test/features --shard 5/4" "zypin run --input test/features --shard 5/4" "template-mode" "37g-template-run-invalid-shard"
+
+# 37h. Run test files in parallel workers, stopping at the first failure (long-running)
+run_command "node ../../../zypin-core/cli/index.js run --input test/features --parallel 2 --bail" "zypin run --input test/features --parallel 2 --bail" "template-mode" "37h-template-run-parallel-bail" "30" "true"
+
+# 37i. Run with an invalid --grep pattern (should fail)
+run_command "node ../../../zypin-core/cli/index.js run --input test/features --grep '('" "zypin run --input test/features --grep '('" "template-mode" "37i-template-run-invalid-grep"
+
+# 37j. History of every project, not just the current one (template mode)
+run_command "node ../../../zypin-core/cli/index.js history --all-projects --limit 5" "zypin history --all-projects --limit 5 (template mode)" "template-mode" "37j-template-history-all-projects"
+
+# 37k. Remote run queued behind another one, then cancelled with Ctrl+C before it starts (should fail)
+# start and server are global commands, so they run from zypin-core
+(cd "$PROJECT_ROOT/zypin-core" && node cli/index.js start --packages selenium --detach > /dev/null 2>&1)
+node ../../../zypin-core/cli/index.js run --input test/features --server http://localhost:8421 > /dev/null 2>&1 &
+FIRST_RUN_PID=$!
+sleep 2  # Wait for the first run to take the only job slot
+run_command "node ../../../zypin-core/cli/index.js run --input test/features/step-definitions-test.feature --server http://localhost:8421 & RUN_PID=\$!; sleep 3; kill -INT \$RUN_PID; wait \$RUN_PID" "zypin run --server http://localhost:8421 (queued, then cancelled)" "template-mode" "37k-template-run-queued-cancelled" "30"
+# Clean up the first run and the background server
+kill $FIRST_RUN_PID 2>/dev/null || true
+(cd "$PROJECT_ROOT/zypin-core" && node cli/index.js server stop > /dev/null 2>&1)
+
 # 38. Guide command help (template mode)
 run_command "node ../../../zypin-core/cli/index.js guide --help" "zypin guide --help (template mode)" "template-mode" "38-template-guide-help"
 